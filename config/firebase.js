@@ -221,7 +221,7 @@ const sendNotification = async (token, title, body, data = {}, options = {}) =>
  * @param {string} title - Notification title
  * @param {string} body - Notification body
  * @param {Object} data - Additional data payload (optional)
- * @param {Object} options - Additional notification options
+ * @param {Object} options - Additional notification options (`priority: 'high'` for time-sensitive pushes)
  * @returns {Promise<Object>} - Batch response with success/failure counts
  */
 const sendNotificationToMultiple = async (tokens, title, body, data = {}, options = {}) => {
@@ -277,6 +277,12 @@ const sendNotificationToMultiple = async (tokens, title, body, data = {}, option
       tokens: validTokens
     };
 
+    // High priority pushes wake the device and are delivered immediately
+    if (options.priority === 'high') {
+      message.android.priority = 'high';
+      message.apns.headers = { 'apns-priority': '10' };
+    }
+
     const response = await messaging.sendMulticast(message);
     
     console.log(`✅ FCM batch sent: ${response.successCount} success, ${response.failureCount} failed`);
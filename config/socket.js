@@ -0,0 +1,96 @@
+// Shared Socket.IO server instance so routers and utilities can push real-time events
+let io = null;
+
+const initializeSocket = (socketServer) => {
+  io = socketServer;
+  console.log('⚡ Socket.IO event emitter initialized');
+};
+
+const getIO = () => io;
+
+/**
+ * Emit an event to every socket joined to a chat room
+ * @param {string} roomId - Chat room ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {boolean} - False if Socket.IO is not initialized
+ */
+const emitToRoom = (roomId, event, payload) => {
+  if (!io || !roomId) {
+    return false;
+  }
+
+  try {
+    io.to(roomId.toString()).emit(event, payload);
+    return true;
+  } catch (error) {
+    console.error(`Socket emit error (${event}):`, error.message);
+    return false;
+  }
+};
+
+// Every authenticated socket joins a private room named after its user, so events can target all of a user's devices
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Emit an event to every connected device of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {boolean} - False if Socket.IO is not initialized
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) {
+    return false;
+  }
+
+  try {
+    io.to(userRoom(userId)).emit(event, payload);
+    return true;
+  } catch (error) {
+    console.error(`Socket emit error (${event}):`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Disconnect all of a user's sockets from a chat room (e.g. after they left or were removed)
+ * @param {string} userId - User ID
+ * @param {string} roomId - Chat room ID
+ */
+const removeUserFromRoom = (userId, roomId) => {
+  if (!io) {
+    return;
+  }
+
+  try {
+    io.in(userRoom(userId)).socketsLeave(roomId.toString());
+  } catch (error) {
+    console.error('Socket room leave error:', error.message);
+  }
+};
+
+/**
+ * Build the payload shared by all `message:*` events
+ * @param {Object} message - Message document
+ * @param {Object} extra - Additional fields to merge into the payload
+ * @returns {Object} - Event payload
+ */
+const buildMessageEvent = (message, extra = {}) => ({
+  roomId: (message.chatRoom._id || message.chatRoom).toString(),
+  messageId: message._id.toString(),
+  message,
+  emotion: message.emotion || null,
+  timestamp: new Date().toISOString(),
+  ...extra
+});
+
+module.exports = {
+  initializeSocket,
+  getIO,
+  emitToRoom,
+  emitToUser,
+  userRoom,
+  removeUserFromRoom,
+  buildMessageEvent
+};
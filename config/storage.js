@@ -0,0 +1,43 @@
+// Attachment storage. Drivers are selected with STORAGE_DRIVER (default: local) and implement:
+//   save(key, buffer, { mimeType }) - store a new file under `key`
+//   createReadStream(key)           - resolve to a readable stream; reject if the file is missing
+//   remove(key)                     - delete a file; missing files are not an error
+const { createLocalDriver } = require('../utils/storage/localDriver');
+
+const drivers = {
+  local: () => createLocalDriver({ root: process.env.UPLOAD_PATH || 'uploads/' })
+};
+
+let storage = null;
+
+/**
+ * Register an additional storage driver (e.g. an object store)
+ * @param {string} name - Value of STORAGE_DRIVER that selects the driver
+ * @param {Function} factory - Returns a driver implementing save/createReadStream/remove
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} - Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = drivers[name]();
+    console.log(`📁 Attachment storage initialized (${name})`);
+  }
+
+  return storage;
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage
+};
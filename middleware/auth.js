@@ -50,7 +50,7 @@ const auth = async (req, res, next) => {
         throw saveError;
       }
     } else {
-      user.isOnline = true;
+      // Online status is driven by socket connections; REST activity only refreshes lastSeen
       user.lastSeen = new Date();
       await user.save();
     }
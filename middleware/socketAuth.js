@@ -0,0 +1,62 @@
+const { verifyIdToken } = require('../config/firebase');
+const User = require('../models/User');
+
+// Extract the Firebase ID token from the socket handshake.
+// Clients should pass it as `auth: { token }`; the Authorization header is accepted as a fallback.
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token.startsWith('Bearer ') ? auth.token.substring(7) : auth.token;
+  }
+
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+};
+
+const socketAuth = async (socket, next) => {
+  try {
+    const idToken = getHandshakeToken(socket);
+
+    if (!idToken) {
+      return next(new Error('Access denied. No valid Firebase token provided.'));
+    }
+
+    // Verify Firebase ID token
+    const decodedToken = await verifyIdToken(idToken);
+
+    // Sockets are only accepted for users already registered through the REST API
+    const user = await User.findOne({ firebaseUid: decodedToken.uid });
+
+    if (!user) {
+      return next(new Error('User not found. Please sign in before connecting.'));
+    }
+
+    if (user.isDisabled) {
+      return next(new Error('User account is disabled.'));
+    }
+
+    socket.userId = user._id;
+    socket.firebaseUid = decodedToken.uid;
+    socket.user = user;
+    socket.firebaseToken = decodedToken;
+
+    next();
+  } catch (error) {
+    console.error('Socket auth middleware error:', error.message);
+
+    if (error.message.includes('Token verification failed')) {
+      return next(new Error('Invalid or expired Firebase token.'));
+    } else if (error.message.includes('Firebase Auth not initialized')) {
+      return next(new Error('Authentication service temporarily unavailable.'));
+    }
+
+    return next(new Error('Server error during authentication.'));
+  }
+};
+
+module.exports = { socketAuth };
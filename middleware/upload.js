@@ -0,0 +1,52 @@
+const multer = require('multer');
+const { MAX_ATTACHMENTS_PER_MESSAGE, MAX_UPLOAD_SIZE, getAttachmentType } = require('../utils/attachments');
+
+// Files are kept in memory so they can be checked and cleaned before they reach storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: MAX_ATTACHMENTS_PER_MESSAGE
+  },
+  fileFilter: (req, file, cb) => {
+    if (!getAttachmentType(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadErrorMessages = {
+  LIMIT_FILE_SIZE: `Files must be at most ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} files can be sent at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unsupported file type or unexpected file field'
+};
+
+/**
+ * Parse multipart attachment uploads from the `files` field into `req.files`.
+ * Upload errors are answered with 400 instead of reaching the error handler.
+ */
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_ATTACHMENTS_PER_MESSAGE)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadErrorMessages[error.code] || error.message
+      });
+    }
+
+    console.error('Attachment upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading attachments'
+    });
+  });
+};
+
+module.exports = {
+  uploadAttachments
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A message a user saved to come back to later. Bookmarks are private to their user.
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  chatRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRoom',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+bookmarkSchema.index({ user: 1, message: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ chatRoom: 1, user: 1 });
+bookmarkSchema.index({ message: 1 });
+
+// Remove every bookmark of the given messages, e.g. once they are deleted for everyone
+bookmarkSchema.statics.removeForMessages = function(messageIds) {
+  return this.deleteMany({ message: { $in: messageIds } });
+};
+
+// Remove a user's bookmarks in a room they no longer have access to
+bookmarkSchema.statics.removeForMember = function(roomId, userId) {
+  return this.deleteMany({ chatRoom: roomId, user: userId });
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
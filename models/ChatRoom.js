@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const EMOTIONS = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'];
+
 const chatRoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -29,12 +31,35 @@ const chatRoomSchema = new mongoose.Schema({
     lastReadAt: {
       type: Date,
       default: Date.now
+    },
+    // Which messages of this room push to the participant: all, only those mentioning them, or none
+    notificationMode: {
+      type: String,
+      enum: ['all', 'mentions', 'none'],
+      default: 'all'
     }
   }],
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Messages admins keep visible at the top of the room, in pin order
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastActivity: {
     type: Date,
     default: Date.now
@@ -55,6 +80,20 @@ const chatRoomSchema = new mongoose.Schema({
     notifications: {
       type: Boolean,
       default: true
+    },
+    // How long after sending a message its author may still edit it (0 disables editing)
+    editWindowMinutes: {
+      type: Number,
+      default: 15,
+      min: 0,
+      max: 10080
+    },
+    // Minutes after which new messages disappear for everyone (0 keeps messages)
+    messageLifetimeMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 129600
     }
   },
   emotionalContext: {
@@ -82,7 +121,9 @@ const chatRoomSchema = new mongoose.Schema({
         disgust: { type: Number, default: 0 },
         neutral: { type: Number, default: 0 }
       },
-      averageSentiment: { type: Number, default: 0 }
+      averageSentiment: { type: Number, default: 0 },
+      // Number of analyzed messages behind averageSentiment (reactions don't count)
+      messageCount: { type: Number, default: 0 }
     }]
   }
 }, {
@@ -92,6 +133,7 @@ const chatRoomSchema = new mongoose.Schema({
 // Index for efficient queries
 chatRoomSchema.index({ participants: 1 });
 chatRoomSchema.index({ lastActivity: -1 });
+chatRoomSchema.index({ 'participants.user': 1, lastActivity: -1, _id: -1 });
 chatRoomSchema.index({ type: 1, isActive: 1 });
 
 // Update last activity
@@ -102,7 +144,7 @@ chatRoomSchema.methods.updateActivity = function() {
 
 // Add participant
 chatRoomSchema.methods.addParticipant = function(userId, role = 'member') {
-  const existingParticipant = this.participants.find(p => p.user.toString() === userId.toString());
+  const existingParticipant = this.getParticipant(userId);
   
   if (!existingParticipant) {
     this.participants.push({
@@ -118,48 +160,378 @@ chatRoomSchema.methods.addParticipant = function(userId, role = 'member') {
 
 // Remove participant
 chatRoomSchema.methods.removeParticipant = function(userId) {
-  this.participants = this.participants.filter(p => p.user.toString() !== userId.toString());
+  this.participants = this.participants.filter(p => (p.user._id || p.user).toString() !== userId.toString());
   return this.save();
 };
 
-// Update emotion trends
-chatRoomSchema.methods.updateEmotionTrends = function(emotions, sentiment) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+// Find a participant entry by user ID
+chatRoomSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => (p.user._id || p.user).toString() === userId.toString()) || null;
+};
+
+// Check whether a user is an admin of this room
+chatRoomSchema.methods.isAdmin = function(userId) {
+  const participant = this.getParticipant(userId);
+  return Boolean(participant && participant.role === 'admin');
+};
+
+// Change a participant's role
+chatRoomSchema.methods.setParticipantRole = function(userId, role) {
+  const participant = this.getParticipant(userId);
   
-  let todayTrend = this.emotionalContext.emotionTrends.find(trend => 
-    trend.date.toDateString() === today.toDateString()
-  );
+  if (participant) {
+    participant.role = role;
+  }
   
-  if (!todayTrend) {
-    todayTrend = {
-      date: today,
-      emotions: {
-        joy: 0, sadness: 0, anger: 0, fear: 0, 
-        surprise: 0, disgust: 0, neutral: 0
+  return this.save();
+};
+
+// Make sure a room with members always has an admin: promote the longest-standing member.
+// Returns the promoted participant, or null if no promotion was needed.
+chatRoomSchema.methods.ensureAdmin = function() {
+  if (this.participants.length === 0 || this.participants.some(p => p.role === 'admin')) {
+    return null;
+  }
+  
+  const successor = [...this.participants].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+  successor.role = 'admin';
+  return successor;
+};
+
+// Check whether a message is pinned in this room
+chatRoomSchema.methods.isPinned = function(messageId) {
+  return this.pinnedMessages.some(pin => pin.message.toString() === messageId.toString());
+};
+
+// Replace this document's pins with those of a freshly loaded room, without marking them modified
+chatRoomSchema.methods.refreshPins = async function() {
+  const current = await this.constructor.findById(this._id).select('pinnedMessages');
+  this.pinnedMessages = current ? current.pinnedMessages : [];
+  this.unmarkModified('pinnedMessages');
+  return this;
+};
+
+// Atomically pin a message while the room has fewer than `limit` pins. Resolves to false if the
+// message was already pinned or the limit was reached; the document's pins are refreshed either way.
+chatRoomSchema.methods.pinMessage = async function(messageId, userId, limit) {
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'pinnedMessages.message': { $ne: messageId },
+      [`pinnedMessages.${limit - 1}`]: { $exists: false }
+    },
+    { $push: { pinnedMessages: { message: messageId, pinnedBy: userId, pinnedAt: new Date() } } },
+    { new: true, projection: { pinnedMessages: 1 } }
+  );
+
+  if (!updated) {
+    await this.refreshPins();
+    return false;
+  }
+
+  this.pinnedMessages = updated.pinnedMessages;
+  this.unmarkModified('pinnedMessages');
+  return true;
+};
+
+// Atomically unpin a message. Resolves to false if it wasn't pinned.
+chatRoomSchema.methods.unpinMessage = async function(messageId) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'pinnedMessages.message': messageId },
+    { $pull: { pinnedMessages: { message: messageId } } },
+    { new: true, projection: { pinnedMessages: 1 } }
+  );
+
+  if (!updated) {
+    return false;
+  }
+
+  this.pinnedMessages = updated.pinnedMessages;
+  this.unmarkModified('pinnedMessages');
+  return true;
+};
+
+// Emotion trends keep one bucket per UTC day, for the last TREND_DAYS days
+const TREND_DAYS = 30;
+
+// Start of the UTC day a trend bucket for `date` is keyed by
+const trendDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Day of the oldest trend bucket that is retained
+const oldestTrendDay = () => {
+  const day = trendDay();
+  day.setUTCDate(day.getUTCDate() - (TREND_DAYS - 1));
+  return day;
+};
+
+// Pipeline stage replacing the fields of the trend bucket of `day` (as `$$trend`) with
+// the expressions in `fields`, provided `when` holds for it
+const reviseTrendStage = (day, fields, when = true) => ({
+  $set: {
+    'emotionalContext.emotionTrends': {
+      $map: {
+        input: '$emotionalContext.emotionTrends',
+        as: 'trend',
+        in: {
+          $cond: [
+            { $and: [{ $eq: ['$$trend.date', day] }, when] },
+            { $mergeObjects: ['$$trend', fields] },
+            '$$trend'
+          ]
+        }
+      }
+    }
+  }
+});
+
+// Expression for a bucket's emotion counts with `deltas` added; counts never drop below zero
+const emotionCounts = (deltas) => EMOTIONS.reduce((counts, emotion) => {
+  counts[emotion] = {
+    $max: [0, { $add: [{ $ifNull: [`$$trend.emotions.${emotion}`, 0] }, deltas[emotion] || 0] }]
+  };
+  return counts;
+}, {});
+
+const clampSentiment = (expression) => ({ $max: [-1, { $min: [1, expression] }] });
+
+// Pipeline stages recomputing averageSentiment (weighted by each day's message count) and
+// dominantEmotion from the retained daily trends. The current dominant emotion is kept on
+// ties so the room mood doesn't flicker.
+const refreshContextStages = () => [
+  {
+    $set: {
+      _emotionTotals: EMOTIONS.map(emotion => ({
+        k: emotion,
+        v: { $sum: `$emotionalContext.emotionTrends.emotions.${emotion}` }
+      })),
+      _messageCount: { $sum: '$emotionalContext.emotionTrends.messageCount' },
+      _sentimentSum: {
+        $sum: {
+          $map: {
+            input: '$emotionalContext.emotionTrends',
+            as: 'trend',
+            in: { $multiply: ['$$trend.averageSentiment', { $ifNull: ['$$trend.messageCount', 0] }] }
+          }
+        }
+      }
+    }
+  },
+  {
+    $set: {
+      'emotionalContext.averageSentiment': {
+        $cond: [
+          { $gt: ['$_messageCount', 0] },
+          clampSentiment({ $divide: ['$_sentimentSum', '$_messageCount'] }),
+          '$emotionalContext.averageSentiment'
+        ]
       },
-      averageSentiment: 0
+      'emotionalContext.dominantEmotion': {
+        $let: {
+          vars: {
+            dominant: {
+              $reduce: {
+                input: '$_emotionTotals',
+                initialValue: {
+                  $ifNull: [
+                    {
+                      $arrayElemAt: [{
+                        $filter: {
+                          input: '$_emotionTotals',
+                          cond: { $eq: ['$$this.k', '$emotionalContext.dominantEmotion'] }
+                        }
+                      }, 0]
+                    },
+                    { k: '$emotionalContext.dominantEmotion', v: 0 }
+                  ]
+                },
+                in: { $cond: [{ $gt: ['$$this.v', '$$value.v'] }, '$$this', '$$value'] }
+              }
+            }
+          },
+          in: { $cond: [{ $gt: ['$$dominant.v', 0] }, '$$dominant.k', 'neutral'] }
+        }
+      }
+    }
+  },
+  { $unset: ['_emotionTotals', '_messageCount', '_sentimentSum'] }
+];
+
+// Make sure the room has a trend bucket for `day`, dropping buckets beyond the last TREND_DAYS days
+chatRoomSchema.methods.ensureTrendBucket = function(day) {
+  return this.constructor.updateOne(
+    { _id: this._id, 'emotionalContext.emotionTrends.date': { $ne: day } },
+    {
+      $push: {
+        'emotionalContext.emotionTrends': {
+          $each: [{ date: day }],
+          $sort: { date: -1 },
+          $slice: TREND_DAYS
+        }
+      }
+    }
+  );
+};
+
+// Apply a trend revision and refresh the room's emotional context in one atomic update,
+// then copy the result onto this document
+chatRoomSchema.methods.applyTrendRevision = async function(stage, conditions = {}) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...conditions },
+    [stage, ...refreshContextStages()],
+    { new: true, projection: { emotionalContext: 1 } }
+  );
+
+  if (updated) {
+    this.emotionalContext = updated.emotionalContext;
+    this.unmarkModified('emotionalContext');
+  }
+
+  return this;
+};
+
+// Update emotion trends of the day a message was sent (today by default).
+// Days older than the retained trends are left alone.
+chatRoomSchema.methods.updateEmotionTrends = async function(emotions, sentiment, sentAt = new Date()) {
+  const day = trendDay(sentAt);
+  if (day < oldestTrendDay()) {
+    return this;
+  }
+
+  await this.ensureTrendBucket(day);
+
+  // Sentiment is a running mean over the day's analyzed messages
+  return this.applyTrendRevision(reviseTrendStage(day, {
+    emotions: emotionCounts(emotions),
+    messageCount: { $add: [{ $ifNull: ['$$trend.messageCount', 0] }, 1] },
+    averageSentiment: {
+      $add: [
+        '$$trend.averageSentiment',
+        {
+          $divide: [
+            { $subtract: [sentiment, '$$trend.averageSentiment'] },
+            { $add: [{ $ifNull: ['$$trend.messageCount', 0] }, 1] }
+          ]
+        }
+      ]
+    }
+  }));
+};
+
+// Add a lightweight emotion signal (e.g. a reaction) to today's trend without touching sentiment.
+// A negative weight withdraws a signal; counts never drop below zero.
+chatRoomSchema.methods.addEmotionSignal = async function(emotion, weight) {
+  if (!EMOTIONS.includes(emotion)) {
+    return this;
+  }
+
+  const today = trendDay();
+  await this.ensureTrendBucket(today);
+
+  return this.applyTrendRevision(reviseTrendStage(today, {
+    emotions: emotionCounts({ [emotion]: weight })
+  }));
+};
+
+// Re-count an analyzed message in the trend of the day it was sent, after its text was edited.
+// `previous` and `next` are { emotion, sentiment }; a null `next` takes the message out of the trend.
+// Nothing is revised once the day was pruned or was never counted.
+chatRoomSchema.methods.reviseEmotionTrends = function(sentAt, previous, next) {
+  const day = trendDay(sentAt);
+  const deltas = { [previous.emotion]: -1 };
+  let fields;
+
+  if (next) {
+    deltas[next.emotion] = (deltas[next.emotion] || 0) + 1;
+    fields = {
+      emotions: emotionCounts(deltas),
+      averageSentiment: clampSentiment({
+        $add: [
+          '$$trend.averageSentiment',
+          { $divide: [next.sentiment - previous.sentiment, '$$trend.messageCount'] }
+        ]
+      })
+    };
+  } else {
+    const remaining = { $subtract: ['$$trend.messageCount', 1] };
+    fields = {
+      emotions: emotionCounts(deltas),
+      messageCount: remaining,
+      averageSentiment: {
+        $cond: [
+          { $gt: [remaining, 0] },
+          clampSentiment({
+            $divide: [
+              { $subtract: [{ $multiply: ['$$trend.averageSentiment', '$$trend.messageCount'] }, previous.sentiment] },
+              remaining
+            ]
+          }),
+          0
+        ]
+      }
     };
-    this.emotionalContext.emotionTrends.push(todayTrend);
   }
-  
-  // Update emotions
-  Object.keys(emotions).forEach(emotion => {
-    if (todayTrend.emotions[emotion] !== undefined) {
-      todayTrend.emotions[emotion] += emotions[emotion];
+
+  return this.applyTrendRevision(reviseTrendStage(day, fields, { $gt: ['$$trend.messageCount', 0] }));
+};
+
+// Rebuild the trends of a room that has none yet (e.g. one created before trends were
+// maintained live) from its `Emotion` records of the last TREND_DAYS days
+chatRoomSchema.methods.backfillEmotionTrends = async function() {
+  if (this.emotionalContext.emotionTrends.length > 0) {
+    return this;
+  }
+
+  const since = oldestTrendDay();
+  const counts = await mongoose.model('Emotion').aggregate([
+    { $match: { roomId: this._id, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          emotion: '$emotion'
+        },
+        count: { $sum: 1 },
+        sentimentSum: { $sum: '$sentimentScore' }
+      }
     }
-  });
-  
-  // Update sentiment
-  todayTrend.averageSentiment = (todayTrend.averageSentiment + sentiment) / 2;
-  
-  // Keep only last 30 days
-  if (this.emotionalContext.emotionTrends.length > 30) {
-    this.emotionalContext.emotionTrends.sort((a, b) => b.date - a.date);
-    this.emotionalContext.emotionTrends = this.emotionalContext.emotionTrends.slice(0, 30);
+  ]);
+
+  if (counts.length === 0) {
+    return this;
   }
-  
-  return this.save();
+
+  const days = new Map();
+  counts.forEach(({ _id, count, sentimentSum }) => {
+    if (!days.has(_id.date)) {
+      const emotions = Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+      days.set(_id.date, { date: new Date(_id.date), emotions, sentimentSum: 0, messageCount: 0 });
+    }
+
+    const day = days.get(_id.date);
+    day.emotions[_id.emotion] += count;
+    day.sentimentSum += sentimentSum;
+    day.messageCount += count;
+  });
+
+  const trends = [...days.values()]
+    .sort((a, b) => b.date - a.date)
+    .map(({ date, emotions, sentimentSum, messageCount }) => ({
+      _id: new mongoose.Types.ObjectId(),
+      date,
+      emotions,
+      averageSentiment: Math.max(-1, Math.min(1, sentimentSum / messageCount)),
+      messageCount
+    }));
+
+  // Live updates that landed in the meantime win over the backfill
+  return this.applyTrendRevision(
+    { $set: { 'emotionalContext.emotionTrends': { $literal: trends } } },
+    { 'emotionalContext.emotionTrends.0': { $exists: false } }
+  );
 };
 
 module.exports = mongoose.model('ChatRoom', chatRoomSchema);
@@ -7,9 +7,12 @@ const emotionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Removed when the message it came from disappears; the scores are kept
   text: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.textPurgedAt;
+    },
     trim: true,
     maxlength: 1000
   },
@@ -57,6 +60,10 @@ const emotionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ChatRoom',
     default: null
+  },
+  textPurgedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -66,6 +73,7 @@ const emotionSchema = new mongoose.Schema({
 emotionSchema.index({ userId: 1, createdAt: -1 });
 emotionSchema.index({ sentimentScore: 1 });
 emotionSchema.index({ emotion: 1 });
+emotionSchema.index({ messageId: 1 });
 
 // Static method to get user's recent emotions
 emotionSchema.statics.getUserRecentEmotions = function(userId, days = 7) {
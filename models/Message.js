@@ -1,15 +1,126 @@
 const mongoose = require('mongoose');
 
+// Content left in place of a message deleted for everyone, or one that disappeared
+const DELETED_MESSAGE_CONTENT = 'This message was deleted';
+const EXPIRED_MESSAGE_CONTENT = 'This message expired';
+
+// Emotion left in place of a deleted message's analysis (the schema defaults)
+const deletedMessageEmotion = () => ({
+  detected: 'neutral',
+  confidence: 0,
+  sentiment: { score: 0, magnitude: 0 },
+  processedBy: 'local-analysis',
+  processingTime: 0
+});
+
+const systemEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Message the event is about, e.g. a pinned message
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  }
+}, { _id: false });
+
+// Snapshot of a message as it was before an edit
+const editSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  emotion: {
+    detected: String,
+    confidence: Number,
+    sentiment: {
+      score: Number,
+      magnitude: Number
+    }
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Poll answer. `votes` holds voter IDs even in anonymous polls, so payloads only expose
+// vote counts (plus the voters of named polls), never the raw list.
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  votes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const pollSchema = new mongoose.Schema({
+  options: {
+    type: [pollOptionSchema],
+    validate: [options => options.length >= 2 && options.length <= 10, 'A poll needs 2-10 options']
+  },
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  // No more votes are accepted from this time on (null keeps the poll open)
+  closesAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Replace a poll's raw votes with counts; named polls also list who voted for each option
+const summarizePoll = (poll) => {
+  const voters = new Set();
+  const options = poll.options.map(({ votes = [], ...option }) => {
+    votes.forEach(voter => voters.add(voter.toString()));
+    return {
+      ...option,
+      voteCount: votes.length,
+      ...(poll.anonymous ? {} : { voters: votes })
+    };
+  });
+
+  return {
+    ...poll,
+    options,
+    totalVoters: voters.size,
+    isClosed: Boolean(poll.closesAt && poll.closesAt <= new Date())
+  };
+};
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Only set for private rooms; group recipients are tracked in `receipts`
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
   content: {
     type: String,
@@ -19,14 +130,35 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'emoji', 'voice'],
+    enum: ['text', 'image', 'file', 'emoji', 'voice', 'poll', 'system'],
     default: 'text'
   },
+  // Question and answers of a `poll` message; the question is the message content
+  poll: {
+    type: pollSchema,
+    default: null
+  },
+  // Structured description of room events announced by system messages (null for user messages)
+  systemEvent: {
+    type: systemEventSchema,
+    default: null
+  },
   chatRoom: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ChatRoom',
     required: true
   },
+  // Room participants mentioned as @username; offset/length locate the mention in `content`
+  mentions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: String,
+    offset: Number,
+    length: Number
+  }],
   emotion: {
     detected: {
       type: String,
@@ -87,12 +219,50 @@ const messageSchema = new mongoose.Schema({
       type: Date,
       default: null
     },
+    // Set (together with isDeleted) when a disappearing message's lifetime ran out
+    expiredAt: {
+      type: Date,
+      default: null
+    },
     deliveryStatus: {
       type: String,
       enum: ['sent', 'delivered', 'read', 'failed'],
       default: 'sent'
     }
   },
+  // Per-recipient delivery and read tracking (one entry per participant other than the sender)
+  receipts: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    },
+    readAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // One entry per user and emoji
+  reactions: [{
+    emoji: {
+      type: String,
+      required: true,
+      maxlength: 16
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   attachments: [{
     type: {
       type: String,
@@ -101,21 +271,158 @@ const messageSchema = new mongoose.Schema({
     url: String,
     filename: String,
     size: Number,
-    mimeType: String
+    mimeType: String,
+    // Set for files uploaded to attachment storage; internal, never serialized
+    storageKey: {
+      type: String,
+      default: null
+    }
   }],
+  // Previous versions of an edited message, oldest first. Only the sender and room admins
+  // may see them, so they are never selected or serialized by default.
+  editHistory: {
+    type: [editSchema],
+    select: false
+  },
+  // Users who deleted the message for themselves only. Private to each user, so never
+  // selected or serialized by default (filter with `hiddenFor: { $ne: userId }`).
+  hiddenFor: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // When a disappearing message expires, from the room's messageLifetimeMinutes at send time
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
+  },
+  // Root message of the thread this reply belongs to (replies to replies share the same root)
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Thread summary, only maintained on root messages
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null
+    },
+    readMarkers: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      lastReadAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.editHistory;
+      delete ret.hiddenFor;
+      // Per-recipient receipts are for the sender only (GET /messages/:id/receipts)
+      delete ret.receipts;
+      // Rows deleted for everyone before softDelete cleared them still hold their content,
+      // so payloads mask every deleted message the way softDelete does
+      if (ret.metadata && ret.metadata.isDeleted) {
+        ret.content = ret.metadata.expiredAt ? EXPIRED_MESSAGE_CONTENT : DELETED_MESSAGE_CONTENT;
+        ret.attachments = [];
+        ret.reactions = [];
+        ret.reactionCounts = [];
+        ret.mentions = [];
+        ret.poll = null;
+        ret.emotion = deletedMessageEmotion();
+      }
+      if (ret.attachments) {
+        ret.attachments.forEach(attachment => delete attachment.storageKey);
+      }
+      if (ret.poll && ret.poll.options) {
+        ret.poll = summarizePoll(ret.poll);
+      }
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
 });
 
 // Index for efficient queries
-messageSchema.index({ chatRoom: 1, createdAt: -1 });
+messageSchema.index({ chatRoom: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chatRoom: 1, updatedAt: 1 });
 messageSchema.index({ sender: 1, receiver: 1 });
 messageSchema.index({ 'metadata.isRead': 1 });
+messageSchema.index({ 'receipts.user': 1 });
+messageSchema.index({ content: 'text' });
+messageSchema.index({ threadRoot: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chatRoom: 1, 'thread.lastReplyAt': -1 });
+messageSchema.index({ 'attachments._id': 1 }, { sparse: true });
+messageSchema.index({ 'mentions.user': 1, createdAt: -1, _id: -1 });
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+
+// Aggregated reaction counts for message payloads
+messageSchema.virtual('reactionCounts').get(function() {
+  const counts = new Map();
+
+  (this.reactions || []).forEach(reaction => {
+    const entry = counts.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, users: [] };
+    entry.count += 1;
+    entry.users.push(reaction.user._id || reaction.user);
+    counts.set(reaction.emoji, entry);
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+});
+
+// Add a reaction; resolves to false if the user already reacted with this emoji
+messageSchema.methods.addReaction = function(userId, emoji) {
+  return this.updateReactions(
+    { reactions: { $not: { $elemMatch: { user: userId, emoji } } } },
+    { $push: { reactions: { emoji, user: userId, createdAt: new Date() } } }
+  );
+};
+
+// Remove a reaction; resolves to false if there was nothing to remove
+messageSchema.methods.removeReaction = function(userId, emoji) {
+  return this.updateReactions(
+    { reactions: { $elemMatch: { user: userId, emoji } } },
+    { $pull: { reactions: { user: userId, emoji } } }
+  );
+};
+
+// Apply a reaction change atomically, so concurrent reactions by other users are kept,
+// then reload the reactions. Resolves to whether anything changed.
+messageSchema.methods.updateReactions = async function(conditions, update) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...conditions },
+    update,
+    { new: true, projection: { reactions: 1 } }
+  );
+
+  if (!updated) {
+    return false;
+  }
+
+  this.reactions = updated.reactions;
+  return true;
+};
 
 // Mark message as read
 messageSchema.methods.markAsRead = function() {
@@ -125,11 +432,219 @@ messageSchema.methods.markAsRead = function() {
   return this.save();
 };
 
+// Recompute the aggregate delivery status from the per-recipient receipts
+messageSchema.methods.refreshDeliveryStatus = function() {
+  if (this.receipts.length === 0) {
+    return;
+  }
+
+  if (this.receipts.every(r => r.readAt)) {
+    this.metadata.isRead = true;
+    this.metadata.readAt = this.metadata.readAt || new Date();
+    this.metadata.deliveryStatus = 'read';
+  } else if (this.receipts.every(r => r.deliveredAt)) {
+    this.metadata.deliveryStatus = 'delivered';
+  }
+};
+
+// Record delivery to a recipient; returns the updated receipt, or null if nothing changed
+messageSchema.methods.markDeliveredTo = function(userId, deliveredAt = new Date()) {
+  const receipt = this.receipts.find(r => r.user.toString() === userId.toString());
+
+  if (!receipt || receipt.deliveredAt) {
+    return null;
+  }
+
+  receipt.deliveredAt = deliveredAt;
+  this.refreshDeliveryStatus();
+  return receipt;
+};
+
+// Record that a recipient read the message (reading implies delivery)
+messageSchema.methods.markReadBy = function(userId, readAt = new Date()) {
+  const receipt = this.receipts.find(r => r.user.toString() === userId.toString());
+
+  if (!receipt || receipt.readAt) {
+    return null;
+  }
+
+  receipt.deliveredAt = receipt.deliveredAt || readAt;
+  receipt.readAt = readAt;
+  this.refreshDeliveryStatus();
+  return receipt;
+};
+
+// Record that a recipient read several messages (see markReadBy) with a few bulk updates
+// instead of saving each message
+messageSchema.statics.markReadByMany = async function(messageIds, userId, readAt = new Date()) {
+  await this.updateMany(
+    { _id: { $in: messageIds } },
+    {
+      $set: {
+        'receipts.$[unread].readAt': readAt,
+        'receipts.$[undelivered].deliveredAt': readAt
+      }
+    },
+    {
+      arrayFilters: [
+        { 'unread.user': userId, 'unread.readAt': null },
+        { 'undelivered.user': userId, 'undelivered.deliveredAt': null }
+      ]
+    }
+  );
+
+  // Same aggregate status refreshDeliveryStatus derives from the receipts
+  await this.updateMany(
+    {
+      _id: { $in: messageIds },
+      'metadata.isRead': false,
+      receipts: { $not: { $elemMatch: { readAt: null } } }
+    },
+    { 'metadata.isRead': true, 'metadata.readAt': readAt, 'metadata.deliveryStatus': 'read' }
+  );
+  await this.updateMany(
+    {
+      _id: { $in: messageIds },
+      'metadata.deliveryStatus': { $ne: 'read' },
+      receipts: { $not: { $elemMatch: { deliveredAt: null } } }
+    },
+    { 'metadata.deliveryStatus': 'delivered' }
+  );
+};
+
+// Get when a user last read this thread (null if never)
+messageSchema.methods.getThreadReadAt = function(userId) {
+  const marker = this.thread.readMarkers.find(m => m.user.toString() === userId.toString());
+  return marker ? marker.lastReadAt : null;
+};
+
+// Move a user's thread read marker forward
+messageSchema.methods.markThreadRead = function(userId, readAt = new Date()) {
+  const marker = this.thread.readMarkers.find(m => m.user.toString() === userId.toString());
+
+  if (!marker) {
+    this.thread.readMarkers.push({ user: userId, lastReadAt: readAt });
+  } else if (marker.lastReadAt < readAt) {
+    marker.lastReadAt = readAt;
+  }
+
+  return this.save();
+};
+
+// Count a new reply on a thread root
+messageSchema.statics.recordThreadReply = function(rootId, reply) {
+  return this.findByIdAndUpdate(
+    rootId,
+    {
+      $inc: { 'thread.replyCount': 1 },
+      $set: { 'thread.lastReplyAt': reply.createdAt }
+    },
+    { new: true }
+  );
+};
+
+// Check whether a poll stopped accepting votes
+messageSchema.methods.isPollClosed = function() {
+  return Boolean(this.poll && this.poll.closesAt && this.poll.closesAt <= new Date());
+};
+
+// Get the IDs of the poll options a user voted for
+messageSchema.methods.getPollVotes = function(userId) {
+  if (!this.poll) return [];
+
+  return this.poll.options
+    .filter(option => option.votes.some(voter => voter.toString() === userId.toString()))
+    .map(option => option._id);
+};
+
+// Replace a user's votes on an open poll in one atomic update (no options retracts the vote).
+// Resolves to the updated message, or null if the poll is missing, deleted or closed.
+messageSchema.statics.castPollVote = function(messageId, userId, optionIds) {
+  const now = new Date();
+  // Update pipelines are not cast, so IDs must be ObjectIds
+  const voter = new mongoose.Types.ObjectId(userId);
+  const chosen = optionIds.map(id => new mongoose.Types.ObjectId(id));
+
+  return this.findOneAndUpdate(
+    {
+      _id: messageId,
+      messageType: 'poll',
+      'metadata.isDeleted': false,
+      $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+    },
+    [{
+      $set: {
+        'poll.options': {
+          $map: {
+            input: '$poll.options',
+            as: 'option',
+            in: {
+              $mergeObjects: ['$$option', {
+                votes: {
+                  $concatArrays: [
+                    { $filter: { input: '$$option.votes', cond: { $ne: ['$$this', voter] } } },
+                    { $cond: [{ $in: ['$$option._id', chosen] }, [voter], []] }
+                  ]
+                }
+              }]
+            }
+          }
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
 // Soft delete message
+// Delete for everyone: the message stays in history as a tombstone, but its content,
+// attachments, reactions, emotion and edit history are removed
 messageSchema.methods.softDelete = function() {
   this.metadata.isDeleted = true;
   this.metadata.deletedAt = new Date();
+  this.content = DELETED_MESSAGE_CONTENT;
+  this.attachments = [];
+  this.reactions = [];
+  this.editHistory = [];
+  this.poll = null;
+  this.emotion = deletedMessageEmotion();
   return this.save();
 };
 
+// Expire disappearing messages: like softDelete, they stay in history as tombstones
+// (marked with metadata.expiredAt) so offline clients can sync the expiry
+messageSchema.statics.expireMessages = function(messageIds, expiredAt = new Date()) {
+  return this.updateMany(
+    { _id: { $in: messageIds } },
+    {
+      $set: {
+        'metadata.isDeleted': true,
+        'metadata.deletedAt': expiredAt,
+        'metadata.expiredAt': expiredAt,
+        content: EXPIRED_MESSAGE_CONTENT,
+        attachments: [],
+        reactions: [],
+        mentions: [],
+        editHistory: [],
+        poll: null,
+        emotion: deletedMessageEmotion(),
+        expiresAt: null
+      }
+    }
+  );
+};
+
+// Content shown in place of a message deleted for everyone or expired
+messageSchema.methods.getTombstoneContent = function() {
+  return this.metadata.expiredAt ? EXPIRED_MESSAGE_CONTENT : DELETED_MESSAGE_CONTENT;
+};
+
+// Delete for me: hide the message from one user's history only
+messageSchema.methods.hideFor = function(userId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $addToSet: { hiddenFor: userId } }
+  );
+};
+
 module.exports = mongoose.model('Message', messageSchema);
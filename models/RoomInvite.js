@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Unambiguous characters only (no 0/O, 1/I/L), so codes can be read out or typed
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const roomInviteSchema = new mongoose.Schema({
+  chatRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRoom',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null means unlimited
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  // Joining through this invite needs an admin's approval
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Users waiting for approval; each one already used up one of the invite's uses
+  requests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+roomInviteSchema.index({ chatRoom: 1, revokedAt: 1, expiresAt: 1 });
+roomInviteSchema.index({ chatRoom: 1, 'requests.user': 1 });
+
+// Query conditions matching invites that can still be used
+const activeConditions = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+  $or: [
+    { maxUses: null },
+    { $expr: { $lt: ['$uses', '$maxUses'] } }
+  ]
+});
+
+// Check whether the invite can still be used
+roomInviteSchema.methods.isActive = function() {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    (this.maxUses === null || this.uses < this.maxUses);
+};
+
+// Generate a random invite code
+roomInviteSchema.statics.generateCode = function() {
+  // Skip bytes that would make the first characters of the alphabet more likely
+  const limit = 256 - (256 % CODE_ALPHABET.length);
+  let code = '';
+
+  while (code.length < CODE_LENGTH) {
+    for (const byte of crypto.randomBytes(CODE_LENGTH)) {
+      if (byte < limit && code.length < CODE_LENGTH) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+      }
+    }
+  }
+
+  return code;
+};
+
+// Get the active invites of a room
+roomInviteSchema.statics.findActiveForRoom = function(roomId) {
+  return this.find({ chatRoom: roomId, ...activeConditions() }).sort({ createdAt: -1 });
+};
+
+// Find an invite by code, if it can still be used (codes are case-insensitive)
+roomInviteSchema.statics.findActiveByCode = function(code) {
+  return this.findOne({ code: String(code).toUpperCase(), ...activeConditions() });
+};
+
+// Atomically use up one of the invite's uses. With `request`, the user is queued for approval
+// in the same update. Resolves to the updated invite, or null if it can't be used (anymore).
+roomInviteSchema.statics.claim = function(inviteId, userId, { request = false } = {}) {
+  const update = { $inc: { uses: 1 } };
+  const conditions = { _id: inviteId, ...activeConditions() };
+
+  if (request) {
+    update.$push = { requests: { user: userId, requestedAt: new Date() } };
+    conditions['requests.user'] = { $ne: userId };
+  }
+
+  return this.findOneAndUpdate(conditions, update, { new: true });
+};
+
+module.exports = mongoose.model('RoomInvite', roomInviteSchema);
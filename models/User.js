@@ -129,11 +129,27 @@ const userSchema = new mongoose.Schema({
   isDisabled: {
     type: Boolean,
     default: false
-  }
+  },
+  // Users this user blocked: they can't start private chats with or message this user,
+  // and don't see their presence or emotional profile
+  blockedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+// Find who blocked a given user
+userSchema.index({ 'blockedUsers.user': 1 });
+
 userSchema.methods.updateLastSeen = function() {
   this.lastSeen = new Date();
   return this.save();
@@ -206,6 +222,50 @@ userSchema.methods.addEmotionToHistory = function(emotion, confidence) {
   return this.save();
 };
 
+// Block management
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(b => b.user.toString() === userId.toString());
+};
+
+userSchema.methods.blockUser = function(userId) {
+  if (!this.hasBlocked(userId)) {
+    this.blockedUsers.push({ user: userId, blockedAt: new Date() });
+  }
+  return this.save();
+};
+
+userSchema.methods.unblockUser = function(userId) {
+  this.blockedUsers = this.blockedUsers.filter(b => b.user.toString() !== userId.toString());
+  return this.save();
+};
+
+// Check whether either of two users blocked the other
+userSchema.statics.isBlockedBetween = async function(userA, userB) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userA, 'blockedUsers.user': userB },
+      { _id: userB, 'blockedUsers.user': userA }
+    ]
+  });
+  return Boolean(blocked);
+};
+
+// Get the IDs of users who blocked a user
+userSchema.statics.getBlockerIds = async function(userId) {
+  const blockers = await this.find({ 'blockedUsers.user': userId }).select('_id');
+  return blockers.map(u => u._id.toString());
+};
+
+// Get every user on either side of a block with a user (blocked by them or blocking them)
+userSchema.statics.getBlockRelations = async function(userId) {
+  const [user, blockerIds] = await Promise.all([
+    this.findById(userId).select('blockedUsers.user'),
+    this.getBlockerIds(userId)
+  ]);
+  const blockedIds = user ? user.blockedUsers.map(b => b.user.toString()) : [];
+  return [...new Set([...blockedIds, ...blockerIds])];
+};
+
 // Get user profile for API responses
 userSchema.methods.getPublicProfile = function() {
   return {
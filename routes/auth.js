@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const { verifyIdToken, getUserByUid, setCustomUserClaims, disableUser, enableUser } = require('../config/firebase');
 const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { refreshPresence } = require('../utils/presence');
 
 const router = express.Router();
 
@@ -36,7 +37,7 @@ router.post('/verify', async (req, res) => {
       console.log(`🆕 New user created: ${user.email}`);
     }
 
-    user.isOnline = true;
+    // Online status follows the user's socket connections
     user.lastSeen = new Date();
     await user.save();
 
@@ -71,15 +72,10 @@ router.post('/verify', async (req, res) => {
   }
 });
 
-// Logout user (update online status)
+// Logout user (update online status). The user stays online while other devices keep a socket open.
 router.post('/logout', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (user) {
-      user.isOnline = false;
-      user.lastSeen = new Date();
-      await user.save();
-    }
+    await refreshPresence(req.userId);
 
     res.json({
       success: true,
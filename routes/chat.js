@@ -1,47 +1,302 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const mongoose = require('mongoose');
+const { once } = require('events');
+const { body, param, validationResult, query } = require('express-validator');
 const Message = require('../models/Message');
 const ChatRoom = require('../models/ChatRoom');
 const User = require('../models/User');
 const Emotion = require('../models/Emotion');
+const RoomInvite = require('../models/RoomInvite');
+const Bookmark = require('../models/Bookmark');
 const { auth, optionalAuth } = require('../middleware/auth');
-const { analyzeEmotion } = require('../utils/emotionAPI');
-const { sendNotificationToMultiple } = require('../config/firebase');
+const { uploadAttachments } = require('../middleware/upload');
+const { createMessage, editMessage, createSystemMessage, emitRoomMood, MESSAGE_TYPES, REPLY_TARGET_NOT_FOUND, MESSAGING_BLOCKED } = require('../utils/messagePipeline');
+const { emitToRoom, emitToUser, removeUserFromRoom } = require('../config/socket');
+const { canSeeEmotion, serializeMessageFor, emitMessageEvent } = require('../utils/emotionPrivacy');
+const { PRESENCE_FIELDS, maskPresence } = require('../utils/presence');
+const { syncRooms, validateSyncCursors } = require('../utils/messageSync');
+const { decodeCursor, buildKeysetQuery, buildKeysetPage } = require('../utils/pagination');
+const { getSearchTerms, buildSnippet } = require('../utils/search');
+const { countUnread, markRoomRead } = require('../utils/unreadCounts');
+const { validateUpload, storeAttachments, removeStoredAttachments, sanitizeLinkedAttachments } = require('../utils/attachments');
+const { getStorage } = require('../config/storage');
+const { formatLifetime } = require('../utils/messageExpiry');
+const { EXPORT_FORMATS, buildEmotionSummary, toExportRecord, getExportFormatter } = require('../utils/roomExport');
+const { mapReactionToEmotion } = require('../utils/emotionAPI');
 
 const router = express.Router();
 
+// Load an active group room the caller participates in (participants populated).
+// Sends the error response and returns null when the room is missing or not a group.
+const findGroupRoom = async (req, res, notGroupMessage = 'Membership can only be managed in group rooms') => {
+  const chatRoom = await ChatRoom.findOne({
+    _id: req.params.roomId,
+    'participants.user': req.userId,
+    isActive: true
+  }).populate('participants.user', 'username avatar');
+
+  if (!chatRoom) {
+    res.status(404).json({
+      success: false,
+      message: 'Chat room not found or access denied'
+    });
+    return null;
+  }
+
+  if (chatRoom.type !== 'group') {
+    res.status(400).json({
+      success: false,
+      message: notGroupMessage
+    });
+    return null;
+  }
+
+  return chatRoom;
+};
+
+// Tell clients about a membership change
+const emitMembershipUpdate = (chatRoom) => {
+  emitToRoom(chatRoom._id, 'room:participants', {
+    roomId: chatRoom._id.toString(),
+    participants: chatRoom.participants,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Remove a participant, hand over admin rights if needed and announce the change
+const removeMember = async (chatRoom, actor, member, action) => {
+  await chatRoom.removeParticipant(member._id);
+  removeUserFromRoom(member._id, chatRoom._id);
+  await Bookmark.removeForMember(chatRoom._id, member._id);
+
+  const isSelf = actor._id.toString() === member._id.toString();
+  await createSystemMessage({
+    chatRoom,
+    actorId: actor._id,
+    action,
+    targets: [member._id],
+    content: isSelf ? `${member.username} left the room` : `${actor.username} removed ${member.username}`
+  });
+
+  // When the last admin is gone, the longest-standing member takes over
+  const successor = chatRoom.ensureAdmin();
+  if (successor) {
+    await chatRoom.save();
+    await createSystemMessage({
+      chatRoom,
+      actorId: actor._id,
+      action: 'admin_handover',
+      targets: [successor.user._id],
+      content: `${successor.user.username} is now an admin`
+    });
+  }
+
+  // Nobody left: close the room
+  if (chatRoom.participants.length === 0) {
+    chatRoom.isActive = false;
+    await chatRoom.save();
+  }
+
+  emitToUser(member._id, 'room:removed', {
+    roomId: chatRoom._id.toString(),
+    reason: action,
+    timestamp: new Date().toISOString()
+  });
+  emitMembershipUpdate(chatRoom);
+};
+
+// Name a few users and count the rest, e.g. "ann, bob, cy and 4 others", so system
+// messages about large batches stay within the message length limit
+const MAX_NAMED_USERS = 3;
+const summarizeUsernames = (users) => {
+  const names = users.slice(0, MAX_NAMED_USERS).map(u => u.username);
+  const others = users.length - names.length;
+
+  if (others > 0) {
+    return `${names.join(', ')} and ${others} other${others === 1 ? '' : 's'}`;
+  }
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names.join('');
+};
+
+// A reaction counts as a fraction of an analyzed message in the room's emotion trends
+const REACTION_EMOTION_WEIGHT = 0.25;
+
+const MAX_PINNED_MESSAGES = 10;
+
+// One emoji: a pictograph, flag or keycap, optionally followed by skin tone modifiers,
+// variation selectors, tag characters or further pictographs joined into a sequence
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}{2}|[#*0-9]️?⃣)[\p{Emoji_Modifier}\p{Extended_Pictographic}️⃣‍\u{E0020}-\u{E007F}]*$/u;
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const isEmoji = (value) => typeof value === 'string' && value.length <= 16 &&
+  [...graphemes.segment(value)].length === 1 && EMOJI_PATTERN.test(value);
+
+// Add or remove a reaction, update the room's emotion signal and notify the room
+const updateReaction = async (req, res, action) => {
+  const { messageId } = req.params;
+  const emoji = action === 'added' ? req.body.emoji : req.params.emoji;
+
+  const message = await Message.findOne({
+    _id: messageId,
+    'metadata.isDeleted': false
+  });
+
+  const chatRoom = message && await ChatRoom.findOne({
+    _id: message.chatRoom,
+    'participants.user': req.userId
+  });
+
+  if (!message || !chatRoom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Message not found or access denied'
+    });
+  }
+
+  if (message.messageType === 'system') {
+    return res.status(400).json({
+      success: false,
+      message: 'System messages cannot be reacted to'
+    });
+  }
+
+  const changed = action === 'added'
+    ? await message.addReaction(req.userId, emoji)
+    : await message.removeReaction(req.userId, emoji);
+
+  if (changed) {
+    // Reactions feed the room's emotional context as a lightweight signal, unless the room
+    // opted out of emotion analysis (emitRoomMood stays quiet when it doesn't share emotions)
+    const emotion = chatRoom.settings.allowEmotionAnalysis !== false && mapReactionToEmotion(emoji);
+    if (emotion) {
+      try {
+        const previousEmotion = chatRoom.emotionalContext.dominantEmotion;
+        await chatRoom.addEmotionSignal(emotion, action === 'added' ? REACTION_EMOTION_WEIGHT : -REACTION_EMOTION_WEIGHT);
+        emitRoomMood(chatRoom, previousEmotion);
+      } catch (error) {
+        console.error('Failed to update room emotion signal:', error.message);
+      }
+    }
+
+    emitToRoom(chatRoom._id, 'message:reaction', {
+      roomId: chatRoom._id.toString(),
+      messageId: message._id.toString(),
+      userId: req.userId.toString(),
+      emoji,
+      action,
+      reactionCounts: message.reactionCounts,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    message: changed ? `Reaction ${action}` : 'Reaction unchanged',
+    data: {
+      messageId: message._id,
+      reactionCounts: message.reactionCounts
+    }
+  });
+};
+
+// Hide participant presence the viewer may not see (participants populated with PRESENCE_FIELDS)
+const maskRoomPresence = async (chatRooms, viewerId) => {
+  const blockerIds = await User.getBlockerIds(viewerId);
+  chatRooms.forEach(chatRoom => {
+    maskPresence(chatRoom.participants.map(p => p.user), viewerId, blockerIds);
+  });
+};
+
+// Rooms as the viewer may see them: the populated last message gets the same emotion privacy as message lists
+const serializeRoomsFor = (chatRooms, viewerId) => chatRooms.map(chatRoom => ({
+  ...chatRoom.toJSON(),
+  lastMessage: chatRoom.lastMessage ? serializeMessageFor(chatRoom.lastMessage, chatRoom, viewerId) : null
+}));
+
 // Get all chat rooms for the authenticated user
-router.get('/rooms', auth, async (req, res) => {
+// Keyset pagination on lastActivity: pass `before`/`after` cursors; `page` is still accepted for older clients
+router.get('/rooms', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('before').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid before cursor'),
+  query('after').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid after cursor'),
+  query('includeTotal').optional().isBoolean()
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const chatRooms = await ChatRoom.find({
+    const limit = parseInt(req.query.limit) || 20;
+    const includeTotal = req.query.includeTotal === 'true';
+    const baseFilter = {
       'participants.user': req.userId,
       isActive: true
-    })
-    .populate('participants.user', 'username avatar isOnline lastSeen')
+    };
+
+    // Legacy offset pagination
+    if (req.query.page && !req.query.before && !req.query.after) {
+      const page = parseInt(req.query.page);
+
+      const chatRooms = await ChatRoom.find(baseFilter)
+      .populate('participants.user', PRESENCE_FIELDS)
+      .populate('lastMessage')
+      .sort({ lastActivity: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+      const total = await ChatRoom.countDocuments(baseFilter);
+      await maskRoomPresence(chatRooms, req.userId);
+
+      return res.json({
+        success: true,
+        data: {
+          chatRooms: serializeRoomsFor(chatRooms, req.userId),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    }
+
+    const direction = req.query.after ? 'after' : 'before';
+    const cursor = decodeCursor(req.query.after || req.query.before);
+    const { filter, sort } = buildKeysetQuery('lastActivity', cursor, direction);
+
+    const docs = await ChatRoom.find({ ...baseFilter, ...filter })
+    .populate('participants.user', PRESENCE_FIELDS)
     .populate('lastMessage')
-    .sort({ lastActivity: -1 })
-    .skip(skip)
-    .limit(limit);
+    .sort(sort)
+    .limit(limit + 1);
 
-    const total = await ChatRoom.countDocuments({
-      'participants.user': req.userId,
-      isActive: true
+    const { items: chatRooms, hasMore, nextCursor, prevCursor } = buildKeysetPage(docs, {
+      field: 'lastActivity',
+      limit,
+      direction,
+      hasCursor: Boolean(cursor)
     });
 
+    const pagination = { limit, hasMore, nextCursor, prevCursor };
+    if (includeTotal) {
+      pagination.total = await ChatRoom.countDocuments(baseFilter);
+    }
+    await maskRoomPresence(chatRooms, req.userId);
+
     res.json({
       success: true,
       data: {
-        chatRooms,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        chatRooms: serializeRoomsFor(chatRooms, req.userId),
+        pagination
       }
     });
   } catch (error) {
@@ -61,6 +316,9 @@ router.post('/rooms', auth, [
   body('participants')
     .isArray({ min: 1 })
     .withMessage('At least one participant is required'),
+  body('participants.*')
+    .isMongoId()
+    .withMessage('Invalid participant ID'),
   body('name')
     .optional()
     .isLength({ max: 100 })
@@ -79,9 +337,26 @@ router.post('/rooms', auth, [
     const { type, participants, name } = req.body;
 
     // Add current user to participants if not already included
-    const allParticipants = [...participants];
-    if (!allParticipants.includes(req.userId)) {
-      allParticipants.push(req.userId);
+    const currentUserId = req.userId.toString();
+    const allParticipants = [...new Set(participants.map(String))];
+    if (!allParticipants.includes(currentUserId)) {
+      allParticipants.push(currentUserId);
+    }
+
+    const otherIds = allParticipants.filter(userId => userId !== currentUserId);
+
+    // Blocked users can't open a private chat with the blocker or pull them into a group
+    if (type === 'private' && otherIds.length === 1 && await User.isBlockedBetween(currentUserId, otherIds[0])) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot start a chat with this user'
+      });
+    }
+    if (type === 'group' && await User.exists({ _id: { $in: otherIds }, 'blockedUsers.user': currentUserId })) {
+      return res.status(403).json({
+        success: false,
+        message: 'One or more users cannot be added to this group'
+      });
     }
 
     // For private chats, check if room already exists
@@ -115,12 +390,13 @@ router.post('/rooms', auth, [
       name: type === 'group' ? name : undefined,
       participants: allParticipants.map(userId => ({
         user: userId,
-        role: userId === req.userId ? 'admin' : 'member'
+        role: userId === currentUserId ? 'admin' : 'member'
       }))
     });
 
     await chatRoom.save();
-    await chatRoom.populate('participants.user', 'username avatar isOnline lastSeen');
+    await chatRoom.populate('participants.user', PRESENCE_FIELDS);
+    await maskRoomPresence([chatRoom], req.userId);
 
     res.status(201).json({
       success: true,
@@ -138,15 +414,28 @@ router.post('/rooms', auth, [
 });
 
 // Get messages for a specific chat room
+// Keyset pagination on createdAt: `before` loads older history, `after` loads newer messages.
+// `page` is still accepted for older clients.
 router.get('/rooms/:roomId/messages', auth, [
   query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid before cursor'),
+  query('after').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid after cursor'),
+  query('includeTotal').optional().isBoolean()
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { roomId } = req.params;
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
+    const includeTotal = req.query.includeTotal === 'true';
 
     // Verify user has access to this chat room
     const chatRoom = await ChatRoom.findOne({
@@ -161,43 +450,67 @@ router.get('/rooms/:roomId/messages', auth, [
       });
     }
 
-    const messages = await Message.find({
+    // Messages deleted for everyone stay in history as tombstones
+    const baseFilter = {
       chatRoom: roomId,
-      'metadata.isDeleted': false
-    })
-    .populate('sender', 'username avatar')
-    .populate('receiver', 'username avatar')
-    .populate('replyTo')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+      hiddenFor: { $ne: req.userId }
+    };
 
-    const total = await Message.countDocuments({
-      chatRoom: roomId,
-      'metadata.isDeleted': false
-    });
+    let messages;
+    let pagination;
 
-    // Mark messages as read
-    await Message.updateMany({
-      chatRoom: roomId,
-      receiver: req.userId,
-      'metadata.isRead': false
-    }, {
-      'metadata.isRead': true,
-      'metadata.readAt': new Date(),
-      'metadata.deliveryStatus': 'read'
-    });
+    if (req.query.page && !req.query.before && !req.query.after) {
+      // Legacy offset pagination
+      const page = parseInt(req.query.page);
+
+      messages = await Message.find(baseFilter)
+      .populate('sender', 'username avatar')
+      .populate('receiver', 'username avatar')
+      .populate('replyTo')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+      const total = await Message.countDocuments(baseFilter);
+      pagination = {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      };
+    } else {
+      const direction = req.query.after ? 'after' : 'before';
+      const cursor = decodeCursor(req.query.after || req.query.before);
+      const { filter, sort } = buildKeysetQuery('createdAt', cursor, direction);
+
+      const docs = await Message.find({ ...baseFilter, ...filter })
+      .populate('sender', 'username avatar')
+      .populate('receiver', 'username avatar')
+      .populate('replyTo')
+      .sort(sort)
+      .limit(limit + 1);
+
+      const { items, hasMore, nextCursor, prevCursor } = buildKeysetPage(docs, {
+        field: 'createdAt',
+        limit,
+        direction,
+        hasCursor: Boolean(cursor)
+      });
+
+      messages = items;
+      pagination = { limit, hasMore, nextCursor, prevCursor };
+      if (includeTotal) {
+        pagination.total = await Message.countDocuments(baseFilter);
+      }
+    }
+
+    // Fetching history no longer marks it read - clients call POST /rooms/:roomId/read
 
     res.json({
       success: true,
       data: {
-        messages: messages.reverse(), // Return in chronological order
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        messages: messages.reverse().map(message => serializeMessageFor(message, chatRoom, req.userId)), // Return in chronological order
+        pagination
       }
     });
 
@@ -210,20 +523,20 @@ router.get('/rooms/:roomId/messages', auth, [
   }
 });
 
-// Send a new message
-router.post('/rooms/:roomId/messages', auth, [
-  body('content')
-    .notEmpty()
-    .isLength({ max: 1000 })
-    .withMessage('Message content is required and must be less than 1000 characters'),
-  body('messageType')
-    .optional()
-    .isIn(['text', 'image', 'file', 'emoji', 'voice'])
-    .withMessage('Invalid message type'),
-  body('replyTo')
-    .optional()
+// Whether any member of the room has blocked the user (or any of the users)
+const isBlockedByMember = (chatRoom, userIds) => User.exists({
+  _id: { $in: chatRoom.participants.map(p => p.user._id || p.user) },
+  'blockedUsers.user': { $in: [].concat(userIds) }
+});
+
+// Add members to a group room (admins only)
+router.post('/rooms/:roomId/participants', auth, [
+  body('userIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('userIds must be an array of 1-50 user IDs'),
+  body('userIds.*')
     .isMongoId()
-    .withMessage('Invalid reply message ID')
+    .withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -235,285 +548,138 @@ router.post('/rooms/:roomId/messages', auth, [
       });
     }
 
-    const { roomId } = req.params;
-    const { content, messageType = 'text', replyTo, attachments } = req.body;
-
-    // Verify user has access to this chat room
-    const chatRoom = await ChatRoom.findOne({
-      _id: roomId,
-      'participants.user': req.userId
-    }).populate('participants.user');
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
 
-    if (!chatRoom) {
-      return res.status(404).json({
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
         success: false,
-        message: 'Chat room not found or access denied'
+        message: 'Only room admins can add members'
       });
     }
 
-    // For private chats, find the receiver
-    let receiverId = null;
-    if (chatRoom.type === 'private') {
-      const receiver = chatRoom.participants.find(p => p.user._id.toString() !== req.userId);
-      receiverId = receiver ? receiver.user._id : null;
+    const newIds = [...new Set(req.body.userIds.map(String))]
+      .filter(userId => !chatRoom.getParticipant(userId));
+
+    const users = await User.find({ _id: { $in: newIds } }).select('username avatar');
+    if (users.length !== newIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more users not found'
+      });
     }
 
-    // Analyze emotion for text messages
-    let emotionData = null;
-    if (messageType === 'text' && content && content.trim().length > 0) {
-      try {
-        emotionData = await analyzeEmotion(content);
-        
-        // Save emotion data to Emotion collection for analytics
-        const emotionRecord = new Emotion({
-          userId: req.userId,
-          text: content,
-          sentimentScore: emotionData.sentiment.score,
-          magnitude: emotionData.sentiment.magnitude,
-          emotion: emotionData.emotion,
-          confidence: emotionData.confidence,
-          processedBy: emotionData.processedBy || 'google-cloud-nlp',
-          processingTime: emotionData.processingTime || 0,
-          messageId: null, // Will be updated after message creation
-          roomId: roomId // Add roomId to the emotion record
-        });
-        
-        const savedEmotion = await emotionRecord.save();
-        
-        // Check for negative sentiment and trigger support notification
-        if (emotionData.sentiment.score <= -0.6) {
-          try {
-            const user = await User.findById(req.userId);
-            if (user) {
-              const fcmTokens = user.getActiveFCMTokens();
-              
-              if (fcmTokens.length > 0) {
-                const supportTitle = "We're here for you";
-                const supportBody = `Hi ${user.username}, we're here for you. You're not alone 💙`;
-                
-                await sendNotificationToMultiple(
-                  fcmTokens,
-                  supportTitle,
-                  supportBody,
-                  {
-                    type: 'emotional_support',
-                    sentimentScore: emotionData.sentiment.score.toString(),
-                    emotion: emotionData.emotion,
-                    roomId: roomId.toString(),
-                    timestamp: new Date().toISOString()
-                  },
-                  {
-                    notification: {
-                      tag: 'emotional_support',
-                      requireInteraction: true
-                    },
-                    android: {
-                      notification: {
-                        icon: 'ic_heart',
-                        color: '#4A90E2',
-                        sound: 'gentle_chime',
-                        priority: 'high'
-                      }
-                    },
-                    apns: {
-                      payload: {
-                        aps: {
-                          sound: 'gentle_chime.wav',
-                          badge: 1,
-                          category: 'EMOTIONAL_SUPPORT'
-                        }
-                      }
-                    }
-                  }
-                );
-                
-                // Update emotion record to mark notification as sent
-                savedEmotion.fcmNotificationSent = true;
-                await savedEmotion.save();
-                
-                console.log(`🔔 Mental health support notification sent to user ${req.userId} (sentiment: ${emotionData.sentiment.score})`);
-              }
-            }
-          } catch (supportError) {
-            console.error('Mental health support notification error:', supportError.message);
-            // Don't fail message sending if support notification fails
-          }
-        }
-        
-      } catch (error) {
-        console.error('Emotion analysis failed:', error.message);
-        // Continue without emotion data if analysis fails
-      }
+    if (users.length === 0) {
+      return res.json({
+        success: true,
+        message: 'All users are already members',
+        data: { chatRoom }
+      });
     }
 
-    // Create new message
-    const message = new Message({
-      sender: req.userId,
-      receiver: receiverId,
-      content,
-      messageType,
-      chatRoom: roomId,
-      replyTo,
-      attachments,
-      emotion: emotionData
+    // Nobody is put into a group with someone they blocked or who blocked them
+    const memberIds = chatRoom.participants.map(p => p.user._id || p.user);
+    const blocksMember = await User.exists({
+      _id: { $in: newIds },
+      'blockedUsers.user': { $in: [...memberIds, ...newIds] }
     });
-
-    await message.save();
-    await message.populate(['sender', 'receiver', 'replyTo']);
-
-    // Update emotion record with message ID if emotion was analyzed
-    if (emotionData) {
-      try {
-        await Emotion.findOneAndUpdate(
-          { 
-            userId: req.userId, 
-            text: content,
-            messageId: null 
-          }, 
-          { messageId: message._id },
-          { sort: { createdAt: -1 } } // Get the most recent one
-        );
-      } catch (error) {
-        console.error('Failed to link emotion record to message:', error.message);
-      }
+    if (blocksMember || await isBlockedByMember(chatRoom, newIds)) {
+      return res.status(403).json({
+        success: false,
+        message: 'One or more users cannot be added to this group'
+      });
     }
 
-    // Update user's emotion history if emotion was detected
-    if (emotionData && emotionData.confidence > 0.5) {
-      try {
-        const user = await User.findById(req.userId);
-        if (user && user.addEmotionToHistory) {
-          await user.addEmotionToHistory(emotionData.emotion, emotionData.confidence);
-        }
-      } catch (error) {
-        console.error('Failed to update user emotion history:', error.message);
-      }
+    for (const user of users) {
+      await chatRoom.addParticipant(user._id);
     }
+    await chatRoom.populate('participants.user', 'username avatar');
 
-    // Update chat room last activity and last message
-    chatRoom.lastMessage = message._id;
-    chatRoom.lastActivity = new Date();
-    await chatRoom.save();
-
-    // Send push notifications to other participants
+    // The members are in at this point, so a failed announcement must not fail the request
     try {
-      const otherParticipants = chatRoom.participants.filter(
-        p => p.user._id.toString() !== req.userId
-      );
-
-      if (otherParticipants.length > 0) {
-        const sender = await User.findById(req.userId);
-        const senderName = sender ? sender.username : 'Someone';
-        
-        // Get all FCM tokens from other participants
-        const participantIds = otherParticipants.map(p => p.user._id);
-        const participants = await User.find({ 
-          _id: { $in: participantIds },
-          'preferences.notifications.push': true // Only users who enabled push notifications
-        });
+      await createSystemMessage({
+        chatRoom,
+        actorId: req.userId,
+        action: 'participants_added',
+        targets: users.map(u => u._id),
+        content: `${req.user.username} added ${summarizeUsernames(users)}`
+      });
+    } catch (error) {
+      console.error('Failed to post participants added message:', error.message);
+    }
 
-        const allTokens = [];
-        participants.forEach(participant => {
-          const activeTokens = participant.getActiveFCMTokens();
-          allTokens.push(...activeTokens);
-        });
+    users.forEach(user => emitToUser(user._id, 'room:added', {
+      roomId: chatRoom._id.toString(),
+      addedBy: req.userId.toString(),
+      timestamp: new Date().toISOString()
+    }));
+    emitMembershipUpdate(chatRoom);
 
-        if (allTokens.length > 0) {
-          const notificationTitle = chatRoom.type === 'private' 
-            ? `${senderName}` 
-            : `${senderName} in ${chatRoom.name}`;
-          
-          let notificationBody = content;
-          
-          // Add emotion indicator if emotion was detected
-          if (emotionData && emotionData.confidence > 0.6) {
-            const emotionEmojis = {
-              joy: '😊',
-              sadness: '😢', 
-              anger: '😠',
-              fear: '😨',
-              surprise: '😲',
-              disgust: '🤢'
-            };
-            const emoji = emotionEmojis[emotionData.emotion] || '';
-            if (emoji) {
-              notificationBody = `${emoji} ${content}`;
-            }
-          }
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      data: { chatRoom }
+    });
 
-          // Truncate long messages
-          if (notificationBody.length > 100) {
-            notificationBody = notificationBody.substring(0, 97) + '...';
-          }
+  } catch (error) {
+    console.error('Add participants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding members'
+    });
+  }
+});
 
-          const notificationData = {
-            type: 'new_message',
-            messageId: message._id.toString(),
-            chatRoomId: chatRoom._id.toString(),
-            senderId: req.userId,
-            senderName: senderName,
-            messageType: messageType,
-            timestamp: new Date().toISOString()
-          };
+// Remove a member from a group room (admins only; use /leave to remove yourself)
+router.delete('/rooms/:roomId/participants/:userId', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
 
-          // Add emotion data if available
-          if (emotionData) {
-            notificationData.emotion = emotionData.emotion;
-            notificationData.sentiment = emotionData.sentiment.score;
-          }
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can remove members'
+      });
+    }
 
-          await sendNotificationToMultiple(
-            allTokens,
-            notificationTitle,
-            notificationBody,
-            notificationData,
-            {
-              android: {
-                notification: {
-                  channelId: 'emochat_messages',
-                  priority: 'high'
-                }
-              },
-              apns: {
-                payload: {
-                  aps: {
-                    category: 'message',
-                    'thread-id': chatRoom._id.toString()
-                  }
-                }
-              }
-            }
-          );
+    if (req.params.userId === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the leave endpoint to remove yourself'
+      });
+    }
 
-          console.log(`📱 Push notifications sent to ${allTokens.length} devices for new message`);
-        }
-      }
-    } catch (notificationError) {
-      console.error('Failed to send push notifications:', notificationError.message);
-      // Don't fail the message sending if notifications fail
+    const participant = chatRoom.getParticipant(req.params.userId);
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this room'
+      });
     }
 
-    res.status(201).json({
+    await removeMember(chatRoom, req.user, participant.user, 'participant_removed');
+
+    res.json({
       success: true,
-      message: 'Message sent successfully',
-      data: { message }
+      message: 'Member removed successfully',
+      data: { chatRoom }
     });
 
   } catch (error) {
-    console.error('Send message error:', error);
+    console.error('Remove participant error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error sending message'
+      message: 'Server error removing member'
     });
   }
 });
 
-// Update message (edit)
-router.put('/messages/:messageId', auth, [
-  body('content')
-    .notEmpty()
-    .isLength({ max: 1000 })
-    .withMessage('Message content is required and must be less than 1000 characters')
+// Promote or demote a member (admins only)
+router.put('/rooms/:roomId/participants/:userId/role', auth, [
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be either admin or member')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -525,60 +691,2059 @@ router.put('/messages/:messageId', auth, [
       });
     }
 
-    const { messageId } = req.params;
-    const { content } = req.body;
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
 
-    const message = await Message.findOne({
-      _id: messageId,
-      sender: req.userId,
-      'metadata.isDeleted': false
-    });
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can change roles'
+      });
+    }
 
-    if (!message) {
+    const { role } = req.body;
+    const participant = chatRoom.getParticipant(req.params.userId);
+    if (!participant) {
       return res.status(404).json({
         success: false,
-        message: 'Message not found or unauthorized'
+        message: 'User is not a member of this room'
+      });
+    }
+
+    if (participant.role === role) {
+      return res.json({
+        success: true,
+        message: 'Role unchanged',
+        data: { chatRoom }
       });
     }
 
-    // Check if message is not too old (e.g., within 15 minutes)
-    const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
-    if (message.createdAt < fifteenMinutesAgo) {
+    const adminCount = chatRoom.participants.filter(p => p.role === 'admin').length;
+    if (role === 'member' && adminCount === 1) {
       return res.status(400).json({
         success: false,
-        message: 'Message too old to edit'
+        message: 'A room needs at least one admin. Promote another member first.'
       });
     }
 
-    message.content = content;
-    message.metadata.isEdited = true;
-    message.metadata.editedAt = new Date();
-    await message.save();
+    await chatRoom.setParticipantRole(participant.user._id, role);
+
+    await createSystemMessage({
+      chatRoom,
+      actorId: req.userId,
+      action: role === 'admin' ? 'participant_promoted' : 'participant_demoted',
+      targets: [participant.user._id],
+      content: role === 'admin'
+        ? `${req.user.username} made ${participant.user.username} an admin`
+        : `${req.user.username} removed ${participant.user.username} as admin`
+    });
+    emitMembershipUpdate(chatRoom);
 
     res.json({
       success: true,
-      message: 'Message updated successfully',
-      data: { message }
+      message: 'Role updated successfully',
+      data: { chatRoom }
     });
 
   } catch (error) {
-    console.error('Update message error:', error);
+    console.error('Update participant role error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating message'
+      message: 'Server error updating role'
     });
   }
 });
 
-// Delete message
-router.delete('/messages/:messageId', auth, async (req, res) => {
+// Leave a group room
+router.post('/rooms/:roomId/leave', auth, async (req, res) => {
   try {
-    const { messageId } = req.params;
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
 
-    const message = await Message.findOne({
+    const participant = chatRoom.getParticipant(req.userId);
+    await removeMember(chatRoom, req.user, participant.user, 'participant_left');
+
+    res.json({
+      success: true,
+      message: 'Left chat room successfully'
+    });
+
+  } catch (error) {
+    console.error('Leave room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error leaving chat room'
+    });
+  }
+});
+
+// Shape an invite for admins, including a shareable link
+const serializeInvite = (invite) => ({
+  id: invite._id.toString(),
+  code: invite.code,
+  link: `${process.env.CLIENT_URL || 'http://localhost:3000'}/invite/${invite.code}`,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  requiresApproval: invite.requiresApproval,
+  pendingRequests: invite.requests.length,
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt
+});
+
+// Add a user who came in through an invite and announce it
+const admitMember = async (chatRoom, user, approvedBy = null) => {
+  await chatRoom.addParticipant(user._id);
+  await chatRoom.populate('participants.user', 'username avatar');
+
+  await createSystemMessage({
+    chatRoom,
+    actorId: approvedBy ? approvedBy._id : user._id,
+    action: 'participant_joined',
+    targets: [user._id],
+    content: approvedBy
+      ? `${approvedBy.username} approved ${user.username}'s request to join`
+      : `${user.username} joined via an invite`
+  });
+
+  emitToUser(user._id, 'room:added', {
+    roomId: chatRoom._id.toString(),
+    addedBy: (approvedBy || user)._id.toString(),
+    timestamp: new Date().toISOString()
+  });
+  emitMembershipUpdate(chatRoom);
+};
+
+// Create an invite code for a group room (admins only)
+router.post('/rooms/:roomId/invites', auth, [
+  body('expiresInMinutes')
+    .optional()
+    .isInt({ min: 1, max: 43200 })
+    .withMessage('expiresInMinutes must be between 1 and 43200 (30 days)'),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('maxUses must be between 1 and 1000'),
+  body('requiresApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresApproval must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can manage invites'
+      });
+    }
+
+    // Invites last a week unless told otherwise
+    const expiresInMinutes = parseInt(req.body.expiresInMinutes, 10) || 10080;
+
+    const invite = await RoomInvite.create({
+      chatRoom: chatRoom._id,
+      code: RoomInvite.generateCode(),
+      createdBy: req.userId,
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      maxUses: req.body.maxUses ? parseInt(req.body.maxUses, 10) : null,
+      requiresApproval: req.body.requiresApproval === true || req.body.requiresApproval === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite created successfully',
+      data: { invite: serializeInvite(invite) }
+    });
+
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating invite'
+    });
+  }
+});
+
+// List a group room's active invites (admins only)
+router.get('/rooms/:roomId/invites', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can manage invites'
+      });
+    }
+
+    const invites = await RoomInvite.findActiveForRoom(chatRoom._id)
+      .populate('createdBy', 'username avatar');
+
+    res.json({
+      success: true,
+      data: { invites: invites.map(serializeInvite) }
+    });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invites'
+    });
+  }
+});
+
+// Revoke an invite (admins only). Pending join requests can still be approved or rejected.
+router.delete('/rooms/:roomId/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can manage invites'
+      });
+    }
+
+    const invite = mongoose.Types.ObjectId.isValid(req.params.inviteId) && await RoomInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, chatRoom: chatRoom._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking invite'
+    });
+  }
+});
+
+// List users waiting for approval to join a group room (admins only)
+router.get('/rooms/:roomId/join-requests', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can manage join requests'
+      });
+    }
+
+    const invites = await RoomInvite.find({ chatRoom: chatRoom._id, 'requests.0': { $exists: true } })
+      .populate('requests.user', 'username avatar');
+
+    const requests = invites
+      .flatMap(invite => invite.requests
+        .filter(request => request.user)
+        .map(request => ({
+          user: request.user,
+          inviteId: invite._id.toString(),
+          requestedAt: request.requestedAt
+        })))
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching join requests'
+    });
+  }
+});
+
+// Approve a join request (admins only)
+router.post('/rooms/:roomId/join-requests/:userId/approve', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can manage join requests'
+      });
+    }
+
+    const { userId } = req.params;
+    const user = mongoose.Types.ObjectId.isValid(userId) &&
+      await User.findById(userId).select('username avatar');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    if (await isBlockedByMember(chatRoom, user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user cannot join the room'
+      });
+    }
+
+    // Taking the request off the invite decides it exactly once
+    const invite = await RoomInvite.findOneAndUpdate(
+      { chatRoom: chatRoom._id, 'requests.user': user._id },
+      { $pull: { requests: { user: user._id } } }
+    );
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    if (!chatRoom.getParticipant(user._id)) {
+      await admitMember(chatRoom, user, req.user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Join request approved',
+      data: { chatRoom }
+    });
+
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving join request'
+    });
+  }
+});
+
+// Reject a join request (admins only)
+router.delete('/rooms/:roomId/join-requests/:userId', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res);
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can manage join requests'
+      });
+    }
+
+    const { userId } = req.params;
+    const invite = mongoose.Types.ObjectId.isValid(userId) && await RoomInvite.findOneAndUpdate(
+      { chatRoom: chatRoom._id, 'requests.user': userId },
+      // A rejected request gives its use back
+      { $pull: { requests: { user: userId } }, $inc: { uses: -1 } }
+    );
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    emitToUser(userId, 'room:join-rejected', {
+      roomId: chatRoom._id.toString(),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Join request rejected'
+    });
+
+  } catch (error) {
+    console.error('Reject join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting join request'
+    });
+  }
+});
+
+// Preview the room an invite code leads to
+router.get('/invites/:code', auth, async (req, res) => {
+  try {
+    const invite = await RoomInvite.findActiveByCode(req.params.code);
+    const chatRoom = invite && await ChatRoom.findOne({ _id: invite.chatRoom, type: 'group', isActive: true });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or no longer valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        room: {
+          id: chatRoom._id.toString(),
+          name: chatRoom.name,
+          participantCount: chatRoom.participants.length
+        },
+        requiresApproval: invite.requiresApproval,
+        expiresAt: invite.expiresAt,
+        isMember: Boolean(chatRoom.getParticipant(req.userId))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invite'
+    });
+  }
+});
+
+// Join a group room with an invite code
+router.post('/invites/:code/join', auth, async (req, res) => {
+  try {
+    const invite = await RoomInvite.findActiveByCode(req.params.code);
+    const chatRoom = invite && await ChatRoom.findOne({ _id: invite.chatRoom, type: 'group', isActive: true });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or no longer valid'
+      });
+    }
+
+    if (chatRoom.getParticipant(req.userId)) {
+      await chatRoom.populate('participants.user', 'username avatar');
+      return res.json({
+        success: true,
+        message: 'You are already a member of this room',
+        data: { chatRoom }
+      });
+    }
+
+    if (await isBlockedByMember(chatRoom, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot join this chat room'
+      });
+    }
+
+    if (invite.requiresApproval) {
+      if (await RoomInvite.exists({ chatRoom: chatRoom._id, 'requests.user': req.userId })) {
+        return res.status(202).json({
+          success: true,
+          message: 'Your request to join is waiting for approval',
+          data: { roomId: chatRoom._id.toString(), status: 'pending' }
+        });
+      }
+
+      const claimed = await RoomInvite.claim(invite._id, req.userId, { request: true });
+      if (!claimed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite not found or no longer valid'
+        });
+      }
+
+      chatRoom.participants
+        .filter(p => p.role === 'admin')
+        .forEach(p => emitToUser(p.user, 'room:join-request', {
+          roomId: chatRoom._id.toString(),
+          inviteId: invite._id.toString(),
+          user: { id: req.userId.toString(), username: req.user.username, avatar: req.user.avatar },
+          timestamp: new Date().toISOString()
+        }));
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your request to join was sent to the room admins',
+        data: { roomId: chatRoom._id.toString(), status: 'pending' }
+      });
+    }
+
+    const claimed = await RoomInvite.claim(invite._id, req.userId);
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or no longer valid'
+      });
+    }
+
+    await admitMember(chatRoom, req.user);
+
+    res.json({
+      success: true,
+      message: 'Joined chat room successfully',
+      data: { chatRoom }
+    });
+
+  } catch (error) {
+    console.error('Join by invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error joining chat room'
+    });
+  }
+});
+
+// Update room settings (admins of group rooms; any participant of a private room)
+router.put('/rooms/:roomId/settings', auth, [
+  body('emotionSharing')
+    .optional()
+    .isBoolean()
+    .withMessage('emotionSharing must be boolean'),
+  body('allowEmotionAnalysis')
+    .optional()
+    .isBoolean()
+    .withMessage('allowEmotionAnalysis must be boolean'),
+  body('notifications')
+    .optional()
+    .isBoolean()
+    .withMessage('notifications must be boolean'),
+  body('editWindowMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('editWindowMinutes must be between 0 and 10080'),
+  body('messageLifetimeMinutes')
+    .optional()
+    .isInt({ min: 0, max: 129600 })
+    .withMessage('messageLifetimeMinutes must be between 0 and 129600 (90 days)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const chatRoom = await ChatRoom.findOne({
+      _id: req.params.roomId,
+      'participants.user': req.userId,
+      isActive: true
+    });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    if (chatRoom.type === 'group' && !chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can change room settings'
+      });
+    }
+
+    const previousLifetime = chatRoom.settings.messageLifetimeMinutes;
+
+    ['emotionSharing', 'allowEmotionAnalysis', 'notifications', 'editWindowMinutes', 'messageLifetimeMinutes'].forEach(setting => {
+      if (req.body[setting] !== undefined) {
+        chatRoom.settings[setting] = req.body[setting];
+      }
+    });
+
+    await chatRoom.save();
+
+    // Everyone should know whether what they write next will disappear
+    const lifetime = chatRoom.settings.messageLifetimeMinutes;
+    if (lifetime !== previousLifetime) {
+      await createSystemMessage({
+        chatRoom,
+        actorId: req.userId,
+        action: 'message_lifetime_changed',
+        content: lifetime > 0
+          ? `${req.user.username} set new messages to disappear after ${formatLifetime(lifetime)}`
+          : `${req.user.username} turned off disappearing messages`
+      });
+    }
+
+    emitToRoom(chatRoom._id, 'room:settings', {
+      roomId: chatRoom._id.toString(),
+      settings: chatRoom.settings,
+      updatedBy: req.userId.toString(),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Room settings updated successfully',
+      data: { settings: chatRoom.settings }
+    });
+
+  } catch (error) {
+    console.error('Update room settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating room settings'
+    });
+  }
+});
+
+// Choose which messages of a room push to the caller: all, only mentions, or none
+router.put('/rooms/:roomId/notifications', auth, [
+  body('mode')
+    .isIn(['all', 'mentions', 'none'])
+    .withMessage('mode must be all, mentions or none')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const chatRoom = await ChatRoom.findOne({
+      _id: req.params.roomId,
+      'participants.user': req.userId,
+      isActive: true
+    });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    chatRoom.getParticipant(req.userId).notificationMode = req.body.mode;
+    await chatRoom.save();
+
+    res.json({
+      success: true,
+      message: 'Notification mode updated successfully',
+      data: {
+        roomId: chatRoom._id,
+        notificationMode: req.body.mode
+      }
+    });
+
+  } catch (error) {
+    console.error('Update notification mode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification mode'
+    });
+  }
+});
+
+// Export a room's history as JSON, CSV or an HTML transcript (participants only, streamed)
+router.get('/rooms/:roomId/export', auth, [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'json';
+
+    const chatRoom = await ChatRoom.findOne({
+      _id: req.params.roomId,
+      'participants.user': req.userId
+    });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    const formatter = getExportFormatter(format);
+    const exportedAt = new Date().toISOString();
+    const safeName = (chatRoom.name || 'chat').replace(/[^\w-]+/g, '_').slice(0, 50);
+
+    res.attachment(`emochat-${safeName}-${exportedAt.slice(0, 10)}.${format}`);
+    res.set('Content-Type', formatter.contentType);
+
+    res.write(formatter.begin({
+      room: {
+        id: chatRoom._id.toString(),
+        name: chatRoom.name || null,
+        type: chatRoom.type
+      },
+      exportedAt,
+      emotionalContext: buildEmotionSummary(chatRoom)
+    }));
+
+    // Stream the history oldest first, waiting whenever the client falls behind
+    const cursor = Message.find({
+      chatRoom: chatRoom._id,
+      hiddenFor: { $ne: req.userId }
+    })
+    .populate('sender', 'username')
+    .sort({ createdAt: 1, _id: 1 })
+    .cursor();
+
+    // Stop waiting for the client once it disconnects
+    const disconnected = new AbortController();
+    res.on('close', () => disconnected.abort());
+
+    let index = 0;
+    for await (const message of cursor) {
+      const chunk = formatter.record(toExportRecord(message, chatRoom, req.userId), index++);
+      if (!res.write(chunk)) {
+        await once(res, 'drain', { signal: disconnected.signal });
+      }
+    }
+
+    res.end(formatter.end());
+
+  } catch (error) {
+    // The client went away mid-download
+    if (error.name === 'AbortError') {
+      return;
+    }
+
+    console.error('Export room error:', error);
+
+    // Once streaming started the status line is gone; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting chat room'
+    });
+  }
+});
+
+// Tell clients the room's pinned messages changed
+const emitPinsUpdate = (chatRoom) => {
+  emitToRoom(chatRoom._id, 'room:pins', {
+    roomId: chatRoom._id.toString(),
+    pinnedMessages: chatRoom.pinnedMessages,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// List a room's pinned messages, most recently pinned first
+router.get('/rooms/:roomId/pins', auth, async (req, res) => {
+  try {
+    const chatRoom = await ChatRoom.findOne({
+      _id: req.params.roomId,
+      'participants.user': req.userId,
+      isActive: true
+    }).select('settings pinnedMessages');
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    const messages = await Message.find({
+      _id: { $in: chatRoom.pinnedMessages.map(pin => pin.message) },
+      hiddenFor: { $ne: req.userId }
+    }).populate('sender', 'username avatar');
+
+    const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+    const pins = [...chatRoom.pinnedMessages]
+      .sort((a, b) => b.pinnedAt - a.pinnedAt)
+      .filter(pin => messagesById.has(pin.message.toString()))
+      .map(pin => ({
+        message: serializeMessageFor(messagesById.get(pin.message.toString()), chatRoom, req.userId),
+        pinnedBy: pin.pinnedBy,
+        pinnedAt: pin.pinnedAt
+      }));
+
+    res.json({
+      success: true,
+      data: { pins }
+    });
+
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving pinned messages'
+    });
+  }
+});
+
+// Pin a message in a group room (admins only)
+router.post('/rooms/:roomId/pins', auth, [
+  body('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const chatRoom = await findGroupRoom(req, res, 'Messages can only be pinned in group rooms');
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can pin messages'
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: req.body.messageId,
+      chatRoom: chatRoom._id,
+      messageType: { $ne: 'system' },
+      'metadata.isDeleted': false
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found in this chat room'
+      });
+    }
+
+    const pinned = await chatRoom.pinMessage(message._id, req.userId, MAX_PINNED_MESSAGES);
+    if (!pinned && chatRoom.isPinned(message._id)) {
+      return res.json({
+        success: true,
+        message: 'Message is already pinned',
+        data: { pinnedMessages: chatRoom.pinnedMessages }
+      });
+    }
+
+    if (!pinned) {
+      return res.status(400).json({
+        success: false,
+        message: `A room can have at most ${MAX_PINNED_MESSAGES} pinned messages`
+      });
+    }
+
+    await createSystemMessage({
+      chatRoom,
+      actorId: req.userId,
+      action: 'message_pinned',
+      messageId: message._id,
+      content: `${req.user.username} pinned a message`
+    });
+    emitPinsUpdate(chatRoom);
+
+    res.json({
+      success: true,
+      message: 'Message pinned successfully',
+      data: { pinnedMessages: chatRoom.pinnedMessages }
+    });
+
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pinning message'
+    });
+  }
+});
+
+// Unpin a message in a group room (admins only)
+router.delete('/rooms/:roomId/pins/:messageId', auth, async (req, res) => {
+  try {
+    const chatRoom = await findGroupRoom(req, res, 'Messages can only be pinned in group rooms');
+    if (!chatRoom) return;
+
+    if (!chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only room admins can unpin messages'
+      });
+    }
+
+    const { messageId } = req.params;
+    const unpinned = mongoose.Types.ObjectId.isValid(messageId) && await chatRoom.unpinMessage(messageId);
+    if (!unpinned) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message is not pinned'
+      });
+    }
+
+    await createSystemMessage({
+      chatRoom,
+      actorId: req.userId,
+      action: 'message_unpinned',
+      messageId,
+      content: `${req.user.username} unpinned a message`
+    });
+    emitPinsUpdate(chatRoom);
+
+    res.json({
+      success: true,
+      message: 'Message unpinned successfully',
+      data: { pinnedMessages: chatRoom.pinnedMessages }
+    });
+
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unpinning message'
+    });
+  }
+});
+
+// List threads in a chat room, most recently active first, with the caller's unread reply counts
+router.get('/rooms/:roomId/threads', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const chatRoom = await ChatRoom.findOne({
+      _id: roomId,
+      'participants.user': req.userId
+    }).select('_id settings');
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    const docs = await Message.find({
+      chatRoom: roomId,
+      'thread.replyCount': { $gt: 0 },
+      hiddenFor: { $ne: req.userId }
+    })
+    .populate('sender', 'username avatar')
+    .sort({ 'thread.lastReplyAt': -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1);
+
+    const hasMore = docs.length > limit;
+
+    const threads = await Promise.all(docs.slice(0, limit).map(async (root) => {
+      const lastReadAt = root.getThreadReadAt(req.userId);
+      const unreadCount = await Message.countDocuments({
+        threadRoot: root._id,
+        'metadata.isDeleted': false,
+        sender: { $ne: req.userId },
+        ...(lastReadAt ? { createdAt: { $gt: lastReadAt } } : {})
+      });
+
+      return { root: serializeMessageFor(root, chatRoom, req.userId), unreadCount, lastReadAt };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        threads,
+        pagination: { page, limit, hasMore }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get threads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving threads'
+    });
+  }
+});
+
+// Send a new message
+router.post('/rooms/:roomId/messages', auth, [
+  body('content')
+    .notEmpty()
+    .isLength({ max: 1000 })
+    .withMessage('Message content is required and must be less than 1000 characters'),
+  body('messageType')
+    .optional()
+    .isIn(MESSAGE_TYPES)
+    .withMessage('Invalid message type'),
+  body('replyTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reply message ID'),
+  body('attachments')
+    .optional()
+    .isArray()
+    .withMessage('attachments must be an array'),
+  body('attachments.*')
+    .isObject()
+    .withMessage('Invalid attachment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId } = req.params;
+    const { content, messageType = 'text', replyTo, attachments } = req.body;
+
+    // Verify user has access to this chat room
+    const chatRoom = await ChatRoom.findOne({
+      _id: roomId,
+      'participants.user': req.userId
+    }).populate('participants.user');
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    const { message } = await createMessage({
+      senderId: req.userId,
+      chatRoom,
+      content,
+      messageType,
+      replyTo,
+      attachments: sanitizeLinkedAttachments(attachments)
+    });
+
+    emitMessageEvent(chatRoom, 'message:new', message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { message }
+    });
+
+  } catch (error) {
+    if (error.message === REPLY_TARGET_NOT_FOUND) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message === MESSAGING_BLOCKED) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending message'
+    });
+  }
+});
+
+// Create a poll in a group room; the question becomes the message content
+router.post('/rooms/:roomId/polls', auth, [
+  body('question')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Question is required and must be at most 300 characters'),
+  body('options')
+    .isArray({ min: 2, max: 10 })
+    .withMessage('options must be an array of 2-10 answers'),
+  body('options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each option must be 1-100 characters'),
+  body('multipleChoice')
+    .optional()
+    .isBoolean()
+    .withMessage('multipleChoice must be boolean'),
+  body('anonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('anonymous must be boolean'),
+  body('closesAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('closesAt must be a future ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { question, options, multipleChoice, anonymous, closesAt } = req.body;
+
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Poll options must be unique'
+      });
+    }
+
+    const chatRoom = await findGroupRoom(req, res, 'Polls can only be created in group rooms');
+    if (!chatRoom) return;
+
+    const { message } = await createMessage({
+      senderId: req.userId,
+      chatRoom,
+      content: question,
+      messageType: 'poll',
+      poll: {
+        options: options.map(text => ({ text })),
+        multipleChoice: multipleChoice === true || multipleChoice === 'true',
+        anonymous: anonymous === true || anonymous === 'true',
+        closesAt: closesAt ? new Date(closesAt) : null
+      }
+    });
+
+    emitMessageEvent(chatRoom, 'message:new', message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Poll created successfully',
+      data: { message: serializeMessageFor(message, chatRoom, req.userId) }
+    });
+
+  } catch (error) {
+    console.error('Create poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating poll'
+    });
+  }
+});
+
+// Check room access before an upload is parsed, so files are only buffered for members
+const authorizeUploadRoom = async (req, res, next) => {
+  try {
+    const chatRoom = mongoose.Types.ObjectId.isValid(req.params.roomId) && await ChatRoom.findOne({
+      _id: req.params.roomId,
+      'participants.user': req.userId,
+      isActive: true
+    }).populate('participants.user');
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    req.chatRoom = chatRoom;
+    next();
+  } catch (error) {
+    console.error('Upload room check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading attachments'
+    });
+  }
+};
+
+// Upload files and send them to a room as one message (multipart: `files`, optional `content` caption)
+router.post('/rooms/:roomId/attachments', auth, authorizeUploadRoom, uploadAttachments, [
+  body('content')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Caption must be less than 1000 characters'),
+  body('replyTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reply message ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { chatRoom } = req;
+    const { content, replyTo } = req.body;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one file is required'
+      });
+    }
+
+    const uploadError = files.map(validateUpload).find(Boolean);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError
+      });
+    }
+
+    const attachments = await storeAttachments(chatRoom._id, files);
+
+    // Mixed uploads are sent as a generic file message
+    const types = [...new Set(attachments.map(a => a.type))];
+    const messageType = types.length === 1 ? types[0] : 'file';
+    const caption = (content || '').trim();
+
+    let message;
+    try {
+      ({ message } = await createMessage({
+        senderId: req.userId,
+        chatRoom,
+        content: caption || attachments.map(a => a.filename).join(', ').slice(0, 1000),
+        messageType,
+        replyTo,
+        attachments
+      }));
+    } catch (error) {
+      await removeStoredAttachments(attachments);
+      throw error;
+    }
+
+    emitMessageEvent(chatRoom, 'message:new', message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments sent successfully',
+      data: { message }
+    });
+
+  } catch (error) {
+    if (error.message === REPLY_TARGET_NOT_FOUND) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message === MESSAGING_BLOCKED) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading attachments'
+    });
+  }
+});
+
+// Download an uploaded attachment (room participants only)
+router.get('/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const message = mongoose.Types.ObjectId.isValid(attachmentId) && await Message.findOne({
+      'attachments._id': attachmentId,
+      'metadata.isDeleted': false
+    });
+
+    const hasAccess = message && await ChatRoom.exists({
+      _id: message.chatRoom,
+      'participants.user': req.userId
+    });
+
+    const attachment = hasAccess && message.attachments.id(attachmentId);
+    if (!attachment || !attachment.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found or access denied'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(attachment.storageKey);
+    } catch (error) {
+      console.error(`Attachment ${attachment.storageKey} missing from storage:`, error.message);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found or access denied'
+      });
+    }
+
+    // res.attachment() guesses a type from the filename, so the stored type is set afterwards
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading attachment'
+    });
+  }
+});
+
+// Update message (edit)
+router.put('/messages/:messageId', auth, [
+  body('content')
+    .notEmpty()
+    .isLength({ max: 1000 })
+    .withMessage('Message content is required and must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    // Polls can't be edited: votes were cast on the original question
+    const message = await Message.findOne({
+      _id: messageId,
+      sender: req.userId,
+      messageType: { $nin: ['system', 'poll'] },
+      'metadata.isDeleted': false
+    }).select('+editHistory');
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or unauthorized'
+      });
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom).populate('participants.user', 'username');
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      });
+    }
+
+    // Check the message is still within the room's edit window
+    const editWindowMinutes = chatRoom.settings.editWindowMinutes;
+    if (editWindowMinutes === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Editing messages is disabled in this chat room'
+      });
+    }
+
+    const editDeadline = new Date(message.createdAt.getTime() + editWindowMinutes * 60 * 1000);
+    if (editDeadline < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message too old to edit'
+      });
+    }
+
+    await editMessage({ message, chatRoom, content });
+
+    emitMessageEvent(chatRoom, 'message:updated', message);
+
+    res.json({
+      success: true,
+      message: 'Message updated successfully',
+      data: { message }
+    });
+
+  } catch (error) {
+    console.error('Update message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating message'
+    });
+  }
+});
+
+// Get the edit history of a message (sender and group admins only)
+router.get('/messages/:messageId/history', auth, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      'metadata.isDeleted': false
+    }).select('+editHistory');
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const chatRoom = await ChatRoom.findOne({
+      _id: message.chatRoom,
+      'participants.user': req.userId
+    });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const isSender = message.sender.toString() === req.userId.toString();
+    if (!isSender && !(chatRoom.type === 'group' && chatRoom.isAdmin(req.userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the sender and room admins can view the edit history'
+      });
+    }
+
+    const showEmotion = canSeeEmotion(chatRoom, message, req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        content: message.content,
+        emotion: showEmotion ? message.emotion : null,
+        isEdited: message.metadata.isEdited,
+        editedAt: message.metadata.editedAt,
+        history: message.editHistory.map(edit => ({
+          content: edit.content,
+          emotion: showEmotion ? edit.emotion : null,
+          editedAt: edit.editedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving message history'
+    });
+  }
+});
+
+// Delete message, either for everyone (sender only, leaves a tombstone) or just for the caller
+router.delete('/messages/:messageId', auth, [
+  query('scope')
+    .optional()
+    .isIn(['everyone', 'me'])
+    .withMessage('scope must be everyone or me')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId } = req.params;
+    const scope = req.query.scope || 'everyone';
+
+    if (scope === 'me') {
+      const message = await Message.findById(messageId).select('chatRoom');
+      const chatRoom = message && await ChatRoom.exists({
+        _id: message.chatRoom,
+        'participants.user': req.userId
+      });
+
+      if (!chatRoom) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found or access denied'
+        });
+      }
+
+      // Only the caller's view changes, so the message and its analytics stay as they are
+      await message.hideFor(req.userId);
+      await Bookmark.deleteOne({ user: req.userId, message: message._id });
+
+      emitToUser(req.userId, 'message:hidden', {
+        roomId: message.chatRoom.toString(),
+        messageId: message._id.toString(),
+        timestamp: new Date().toISOString()
+      });
+
+      return res.json({
+        success: true,
+        message: 'Message deleted for you'
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      sender: req.userId,
+      messageType: { $ne: 'system' },
+      'metadata.isDeleted': false
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or unauthorized'
+      });
+    }
+
+    const { emotion, attachments } = message.toObject();
+    await message.softDelete();
+    await removeStoredAttachments(attachments);
+
+    // The analytics record holds the deleted text, so it goes too; the room's trend counts are kept
+    await Emotion.deleteOne({ messageId: message._id });
+
+    // Tombstones don't stay pinned or bookmarked
+    await ChatRoom.updateOne(
+      { _id: message.chatRoom },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+    await Bookmark.removeForMessages([message._id]);
+
+    // Deleted replies no longer count towards their thread
+    if (message.threadRoot) {
+      await Message.updateOne(
+        { _id: message.threadRoot, 'thread.replyCount': { $gt: 0 } },
+        { $inc: { 'thread.replyCount': -1 } }
+      );
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom).select('settings');
+    emitToRoom(message.chatRoom, 'message:deleted', {
+      roomId: message.chatRoom.toString(),
+      messageId: message._id.toString(),
+      emotion: canSeeEmotion(chatRoom, message, null) ? emotion : null,
+      deletedAt: message.metadata.deletedAt,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Message deleted for everyone',
+      data: { message }
+    });
+
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting message'
+    });
+  }
+});
+
+// React to a message (one reaction per emoji per user)
+router.post('/messages/:messageId/reactions', auth, [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  body('emoji')
+    .custom(isEmoji)
+    .withMessage('A single emoji is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await updateReaction(req, res, 'added');
+
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding reaction'
+    });
+  }
+});
+
+// Remove the user's reaction (emoji is URL-encoded in the path)
+router.delete('/messages/:messageId/reactions/:emoji', auth, [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!isEmoji(req.params.emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A single emoji is required'
+      });
+    }
+
+    await updateReaction(req, res, 'removed');
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing reaction'
+    });
+  }
+});
+
+// Bookmark a message, or update the note of an existing bookmark
+router.put('/messages/:messageId/bookmark', auth, [
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = mongoose.Types.ObjectId.isValid(req.params.messageId) && await Message.findOne({
+      _id: req.params.messageId,
+      messageType: { $ne: 'system' },
+      'metadata.isDeleted': false,
+      hiddenFor: { $ne: req.userId }
+    }).select('chatRoom');
+
+    const hasAccess = message && await ChatRoom.exists({
+      _id: message.chatRoom,
+      'participants.user': req.userId,
+      isActive: true
+    });
+
+    if (!hasAccess) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or access denied'
+      });
+    }
+
+    const update = { chatRoom: message.chatRoom };
+    if (req.body.note !== undefined) {
+      update.note = req.body.note;
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.userId, message: message._id },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Message bookmarked',
+      data: { bookmark }
+    });
+
+  } catch (error) {
+    console.error('Bookmark message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error bookmarking message'
+    });
+  }
+});
+
+// Remove a bookmark
+router.delete('/messages/:messageId/bookmark', auth, async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.messageId) &&
+      await Bookmark.deleteOne({ user: req.userId, message: req.params.messageId });
+
+    if (!result || result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bookmark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed'
+    });
+
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing bookmark'
+    });
+  }
+});
+
+// Load a poll message the caller can see, with its room.
+// Sends the error response and returns null when either is missing.
+const findPoll = async (req, res) => {
+  const message = mongoose.Types.ObjectId.isValid(req.params.messageId) && await Message.findOne({
+    _id: req.params.messageId,
+    messageType: 'poll',
+    'metadata.isDeleted': false
+  });
+
+  const chatRoom = message && await ChatRoom.findOne({
+    _id: message.chatRoom,
+    'participants.user': req.userId,
+    isActive: true
+  }).select('type participants settings');
+
+  if (!chatRoom) {
+    res.status(404).json({
+      success: false,
+      message: 'Poll not found or access denied'
+    });
+    return null;
+  }
+
+  return { message, chatRoom };
+};
+
+// Tell clients a poll's results or state changed
+const emitPollUpdate = (message) => {
+  emitToRoom(message.chatRoom, 'poll:updated', {
+    roomId: message.chatRoom.toString(),
+    messageId: message._id.toString(),
+    poll: message.toJSON().poll,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Vote on a poll. The given options replace the caller's previous votes; an empty list retracts them.
+router.post('/messages/:messageId/poll/votes', auth, [
+  body('optionIds')
+    .isArray({ max: 10 })
+    .withMessage('optionIds must be an array of at most 10 option IDs'),
+  body('optionIds.*')
+    .isMongoId()
+    .withMessage('Invalid option ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findPoll(req, res);
+    if (!found) return;
+    const { message, chatRoom } = found;
+
+    if (message.isPollClosed()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    const optionIds = [...new Set(req.body.optionIds.map(String))];
+    if (!message.poll.multipleChoice && optionIds.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll accepts only one option'
+      });
+    }
+
+    const knownIds = new Set(message.poll.options.map(option => option._id.toString()));
+    if (!optionIds.every(id => knownIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown poll option'
+      });
+    }
+
+    const updated = await Message.castPollVote(message._id, req.userId, optionIds);
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    emitPollUpdate(updated);
+
+    res.json({
+      success: true,
+      message: optionIds.length > 0 ? 'Vote recorded' : 'Vote retracted',
+      data: { poll: serializeMessageFor(updated, chatRoom, req.userId).poll }
+    });
+
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording vote'
+    });
+  }
+});
+
+// Close a poll before its closing time (its creator or a group admin)
+router.post('/messages/:messageId/poll/close', auth, async (req, res) => {
+  try {
+    const found = await findPoll(req, res);
+    if (!found) return;
+    const { message, chatRoom } = found;
+
+    if (message.sender.toString() !== req.userId.toString() && !chatRoom.isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the poll creator or room admins can close this poll'
+      });
+    }
+
+    if (!message.isPollClosed()) {
+      message.poll.closesAt = new Date();
+      await message.save();
+      emitPollUpdate(message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Poll closed',
+      data: { poll: serializeMessageFor(message, chatRoom, req.userId).poll }
+    });
+
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing poll'
+    });
+  }
+});
+
+// Get a thread: its root message and paginated replies (chronological)
+router.get('/messages/:messageId/thread', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid before cursor'),
+  query('after').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid after cursor')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // Any message of the thread can be used to open it
+    const target = await Message.findById(messageId).select('threadRoot chatRoom');
+
+    const chatRoom = target && await ChatRoom.findOne({
+      _id: target.chatRoom,
+      'participants.user': req.userId
+    }).select('_id settings');
+
+    if (!target || !chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or access denied'
+      });
+    }
+
+    // A root deleted for everyone still anchors its thread as a tombstone
+    const root = await Message.findById(target.threadRoot || target._id)
+      .populate('sender', 'username avatar');
+
+    if (!root) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    const direction = req.query.after ? 'after' : 'before';
+    const cursor = decodeCursor(req.query.after || req.query.before);
+    const { filter, sort } = buildKeysetQuery('createdAt', cursor, direction);
+
+    const docs = await Message.find({
+      threadRoot: root._id,
+      hiddenFor: { $ne: req.userId },
+      ...filter
+    })
+    .populate('sender', 'username avatar')
+    .populate('replyTo')
+    .sort(sort)
+    .limit(limit + 1);
+
+    const { items, hasMore, nextCursor, prevCursor } = buildKeysetPage(docs, {
+      field: 'createdAt',
+      limit,
+      direction,
+      hasCursor: Boolean(cursor)
+    });
+
+    // Unread replies for the caller (their own replies never count)
+    const lastReadAt = root.getThreadReadAt(req.userId);
+    const unreadCount = await Message.countDocuments({
+      threadRoot: root._id,
+      'metadata.isDeleted': false,
+      sender: { $ne: req.userId },
+      ...(lastReadAt ? { createdAt: { $gt: lastReadAt } } : {})
+    });
+
+    res.json({
+      success: true,
+      data: {
+        root: serializeMessageFor(root, chatRoom, req.userId),
+        replies: items.reverse().map(reply => serializeMessageFor(reply, chatRoom, req.userId)), // Return in chronological order
+        unreadCount,
+        lastReadAt,
+        pagination: { limit, hasMore, nextCursor, prevCursor }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving thread'
+    });
+  }
+});
+
+// Mark a thread as read up to now
+router.post('/messages/:messageId/thread/read', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const root = await Message.findOne({
+      _id: messageId,
+      threadRoot: null,
+      'metadata.isDeleted': false
+    });
+
+    const chatRoom = root && await ChatRoom.findOne({
+      _id: root.chatRoom,
+      'participants.user': req.userId
+    }).select('_id');
+
+    if (!root || !chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found or access denied'
+      });
+    }
+
+    await root.markThreadRead(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Thread marked as read',
+      data: { lastReadAt: root.getThreadReadAt(req.userId) }
+    });
+
+  } catch (error) {
+    console.error('Mark thread read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error marking thread as read'
+    });
+  }
+});
+
+// Get per-recipient delivery receipts for a message (sender only)
+router.get('/messages/:messageId/receipts', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findOne({
       _id: messageId,
       sender: req.userId
-    });
+    })
+    .select('receipts metadata.deliveryStatus chatRoom')
+    .populate('receipts.user', 'username avatar');
 
     if (!message) {
       return res.status(404).json({
@@ -587,34 +2752,404 @@ router.delete('/messages/:messageId', auth, async (req, res) => {
       });
     }
 
-    await message.softDelete();
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        deliveryStatus: message.metadata.deliveryStatus,
+        receipts: message.receipts
+      }
+    });
+
+  } catch (error) {
+    console.error('Get message receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving message receipts'
+    });
+  }
+});
+
+// Replay everything missed since the client's last known position in each room
+router.post('/sync', auth, [
+  body('rooms')
+    .custom(rooms => {
+      const error = validateSyncCursors(rooms);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rooms = await syncRooms(req.userId, req.body.rooms);
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      data: { rooms }
     });
 
   } catch (error) {
-    console.error('Delete message error:', error);
+    console.error('Sync messages error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error deleting message'
+      message: 'Server error syncing messages'
     });
   }
 });
 
-// Get unread message count
-router.get('/unread-count', auth, async (req, res) => {
+// Search message history across all of the user's chat rooms
+router.get('/search', auth, [
+  query('q').optional().isLength({ min: 1, max: 100 }).withMessage('Search query must be 1-100 characters'),
+  query('roomId').optional().isMongoId().withMessage('Invalid room ID'),
+  query('senderId').optional().isMongoId().withMessage('Invalid sender ID'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('emotion')
+    .optional()
+    .isIn(['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'])
+    .withMessage('Invalid emotion'),
+  query('minSentiment').optional().isFloat({ min: -1, max: 1 }).withMessage('minSentiment must be between -1 and 1'),
+  query('maxSentiment').optional().isFloat({ min: -1, max: 1 }).withMessage('maxSentiment must be between -1 and 1'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
   try {
-    const unreadCount = await Message.countDocuments({
-      receiver: req.userId,
-      'metadata.isRead': false,
-      'metadata.isDeleted': false
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, roomId, senderId, from, to, emotion, minSentiment, maxSentiment } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (!q && !senderId && !from && !to && !emotion && minSentiment === undefined && maxSentiment === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A search query or at least one filter is required'
+      });
+    }
+
+    // Only search rooms the user participates in
+    const roomFilter = { 'participants.user': req.userId };
+    if (roomId) {
+      roomFilter._id = roomId;
+    }
+    const chatRooms = await ChatRoom.find(roomFilter).select('_id name type settings');
+
+    if (roomId && chatRooms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    const filter = {
+      chatRoom: { $in: chatRooms.map(r => r._id) },
+      'metadata.isDeleted': false,
+      hiddenFor: { $ne: req.userId }
+    };
+
+    if (q) {
+      filter.$text = { $search: q };
+    }
+    if (senderId) {
+      filter.sender = senderId;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    if (emotion) {
+      filter['emotion.detected'] = emotion;
+    }
+    if (minSentiment !== undefined || maxSentiment !== undefined) {
+      filter['emotion.sentiment.score'] = {};
+      if (minSentiment !== undefined) filter['emotion.sentiment.score'].$gte = parseFloat(minSentiment);
+      if (maxSentiment !== undefined) filter['emotion.sentiment.score'].$lte = parseFloat(maxSentiment);
+    }
+
+    // Emotion filters must not reveal other people's emotions in rooms that don't share them
+    if (emotion || minSentiment !== undefined || maxSentiment !== undefined) {
+      const sharingRoomIds = chatRooms.filter(r => r.settings.emotionSharing !== false).map(r => r._id);
+      filter.$or = [
+        { chatRoom: { $in: sharingRoomIds } },
+        { sender: req.userId }
+      ];
+    }
+
+    // Rank by relevance when searching text, otherwise newest first
+    const sort = q
+      ? { score: { $meta: 'textScore' }, createdAt: -1 }
+      : { createdAt: -1, _id: -1 };
+
+    const docs = await Message.find(filter, q ? { score: { $meta: 'textScore' } } : {})
+    .populate('sender', 'username avatar')
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit + 1);
+
+    const hasMore = docs.length > limit;
+    const terms = getSearchTerms(q);
+    const roomsById = new Map(chatRooms.map(r => [r._id.toString(), r]));
+
+    const results = docs.slice(0, limit).map(message => {
+      const room = roomsById.get(message.chatRoom.toString());
+      return {
+        message: serializeMessageFor(message, room, req.userId),
+        chatRoom: { id: room._id, name: room.name, type: room.type },
+        ...buildSnippet(message.content, terms)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: {
+          page,
+          limit,
+          hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching messages'
+    });
+  }
+});
+
+// List messages that mention the caller, newest first (cursor pagination)
+router.get('/mentions', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid before cursor'),
+  query('after').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid after cursor')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Only rooms the caller still participates in
+    const chatRooms = await ChatRoom.find({
+      'participants.user': req.userId
+    }).select('name type settings');
+    const roomsById = new Map(chatRooms.map(r => [r._id.toString(), r]));
+
+    const direction = req.query.after ? 'after' : 'before';
+    const cursor = decodeCursor(req.query.after || req.query.before);
+    const { filter, sort } = buildKeysetQuery('createdAt', cursor, direction);
+
+    const docs = await Message.find({
+      'mentions.user': req.userId,
+      chatRoom: { $in: chatRooms.map(r => r._id) },
+      'metadata.isDeleted': false,
+      hiddenFor: { $ne: req.userId },
+      ...filter
+    })
+    .populate('sender', 'username avatar')
+    .sort(sort)
+    .limit(limit + 1);
+
+    const { items, hasMore, nextCursor, prevCursor } = buildKeysetPage(docs, {
+      field: 'createdAt',
+      limit,
+      direction,
+      hasCursor: Boolean(cursor)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        mentions: items.map(message => {
+          const chatRoom = roomsById.get(message.chatRoom.toString());
+          return {
+            message: serializeMessageFor(message, chatRoom, req.userId),
+            room: {
+              id: chatRoom._id,
+              name: chatRoom.name,
+              type: chatRoom.type
+            }
+          };
+        }),
+        pagination: { limit, hasMore, nextCursor, prevCursor }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mentions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving mentions'
+    });
+  }
+});
+
+// List the caller's bookmarks, most recently saved first, optionally filtered by emotion
+router.get('/bookmarks', auth, [
+  query('roomId').optional().isMongoId().withMessage('Invalid room ID'),
+  query('emotion')
+    .optional()
+    .isIn(['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'])
+    .withMessage('Invalid emotion'),
+  query('minSentiment').optional().isFloat({ min: -1, max: 1 }).withMessage('minSentiment must be between -1 and 1'),
+  query('maxSentiment').optional().isFloat({ min: -1, max: 1 }).withMessage('maxSentiment must be between -1 and 1'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, emotion, minSentiment, maxSentiment } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Only bookmarks in rooms the user still participates in
+    const roomFilter = { 'participants.user': req.userId, isActive: true };
+    if (roomId) {
+      roomFilter._id = roomId;
+    }
+    const chatRooms = await ChatRoom.find(roomFilter).select('_id name type settings');
+
+    if (roomId && chatRooms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    // Aggregation pipelines are not cast, so IDs must be ObjectIds
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const messageFilter = {
+      'message.metadata.isDeleted': false,
+      'message.hiddenFor': { $ne: userId }
+    };
+
+    if (emotion) {
+      messageFilter['message.emotion.detected'] = emotion;
+    }
+    if (minSentiment !== undefined || maxSentiment !== undefined) {
+      messageFilter['message.emotion.sentiment.score'] = {};
+      if (minSentiment !== undefined) messageFilter['message.emotion.sentiment.score'].$gte = parseFloat(minSentiment);
+      if (maxSentiment !== undefined) messageFilter['message.emotion.sentiment.score'].$lte = parseFloat(maxSentiment);
+    }
+
+    // Emotion filters must not reveal other people's emotions in rooms that don't share them
+    if (emotion || minSentiment !== undefined || maxSentiment !== undefined) {
+      const sharingRoomIds = chatRooms.filter(r => r.settings.emotionSharing !== false).map(r => r._id);
+      messageFilter.$or = [
+        { chatRoom: { $in: sharingRoomIds } },
+        { 'message.sender': userId }
+      ];
+    }
+
+    const docs = await Bookmark.aggregate([
+      { $match: { user: userId, chatRoom: { $in: chatRooms.map(r => r._id) } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $lookup: {
+          from: Message.collection.name,
+          localField: 'message',
+          foreignField: '_id',
+          as: 'message'
+        }
+      },
+      { $unwind: '$message' },
+      { $match: messageFilter },
+      { $skip: (page - 1) * limit },
+      { $limit: limit + 1 }
+    ]);
+
+    const hasMore = docs.length > limit;
+    const pageDocs = docs.slice(0, limit);
+    const messages = await Message.populate(
+      pageDocs.map(doc => Message.hydrate(doc.message)),
+      { path: 'sender', select: 'username avatar' }
+    );
+    const roomsById = new Map(chatRooms.map(r => [r._id.toString(), r]));
+
+    const bookmarks = pageDocs.map((doc, index) => {
+      const room = roomsById.get(doc.chatRoom.toString());
+      return {
+        id: doc._id,
+        note: doc.note,
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt,
+        message: serializeMessageFor(messages[index], room, req.userId),
+        chatRoom: { id: room._id, name: room.name, type: room.type }
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        bookmarks,
+        pagination: {
+          page,
+          limit,
+          hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving bookmarks'
     });
+  }
+});
+
+// Get unread message counts per room and in total
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const chatRooms = await ChatRoom.find({
+      'participants.user': req.userId,
+      isActive: true
+    }).select('participants');
+
+    const { rooms, total } = await countUnread(req.userId, chatRooms);
 
     res.json({
       success: true,
-      data: { unreadCount }
+      data: {
+        unreadCount: total,
+        rooms
+      }
     });
 
   } catch (error) {
@@ -626,4 +3161,70 @@ router.get('/unread-count', auth, async (req, res) => {
   }
 });
 
+// Mark a room as read up to a message (or up to now when no message is given)
+router.post('/rooms/:roomId/read', auth, [
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId } = req.params;
+    const { messageId } = req.body;
+
+    const chatRoom = await ChatRoom.findOne({
+      _id: roomId,
+      'participants.user': req.userId
+    });
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or access denied'
+      });
+    }
+
+    let upTo = new Date();
+    if (messageId) {
+      const message = await Message.findOne({ _id: messageId, chatRoom: roomId }).select('createdAt');
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found in this chat room'
+        });
+      }
+      upTo = message.createdAt;
+    }
+
+    const { lastReadAt } = await markRoomRead(chatRoom, req.userId, upTo);
+    const { rooms } = await countUnread(req.userId, [chatRoom]);
+
+    res.json({
+      success: true,
+      message: 'Chat room marked as read',
+      data: {
+        roomId: chatRoom._id,
+        lastReadAt,
+        unreadCount: rooms[0].unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark room read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error marking chat room as read'
+    });
+  }
+});
+
 module.exports = router;
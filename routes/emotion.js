@@ -425,7 +425,10 @@ router.get('/profile/:userId', auth, async (req, res) => {
         'participants.user': { $all: [req.userId, userId] }
       });
 
-      if (!sharedRoom) {
+      // Users who blocked the caller keep their emotional profile to themselves
+      const blockedCaller = sharedRoom && await User.exists({ _id: userId, 'blockedUsers.user': req.userId });
+
+      if (!sharedRoom || blockedCaller) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this user\'s emotional profile'
@@ -490,7 +493,7 @@ router.get('/trends/:roomId', auth, async (req, res) => {
     const chatRoom = await ChatRoom.findOne({
       _id: roomId,
       $or: [
-        { participants: req.userId },
+        { 'participants.user': req.userId },
         { createdBy: req.userId }
       ]
     });
@@ -506,86 +509,51 @@ router.get('/trends/:roomId', auth, async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    // Get total count for pagination
-    const totalEmotions = await Emotion.countDocuments({
+    // Rooms that don't share emotions only list the caller's own
+    const emotionFilter = {
       roomId: roomId,
       createdAt: { $gte: startDate }
-    });
+    };
+    if (chatRoom.settings.emotionSharing === false) {
+      emotionFilter.userId = req.userId;
+    }
+
+    // Get total count for pagination
+    const totalEmotions = await Emotion.countDocuments(emotionFilter);
 
     // Get emotions from this room with pagination
-    const roomEmotions = await Emotion.find({
-      roomId: roomId,
-      createdAt: { $gte: startDate }
-    })
+    const roomEmotions = await Emotion.find(emotionFilter)
     .populate('userId', 'username avatar')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
     .select('emotion sentimentScore magnitude confidence userId createdAt messageId');
 
-    // Get aggregated trends (not paginated as it's summary data)
-    const emotionTrends = await Emotion.aggregate([
-      {
-        $match: {
-          roomId: roomId,
-          createdAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-            emotion: "$emotion"
-          },
-          count: { $sum: 1 },
-          avgSentiment: { $avg: "$sentimentScore" }
-        }
-      },
-      {
-        $group: {
-          _id: "$_id.date",
-          emotions: {
-            $push: {
-              emotion: "$_id.emotion",
-              count: "$count",
-              avgSentiment: "$avgSentiment"
-            }
-          },
-          totalMessages: { $sum: "$count" },
-          dailyAvgSentiment: { $avg: "$avgSentiment" }
-        }
-      },
-      { $sort: { "_id": -1 } }
-    ]);
-
-    // Calculate room-wide statistics
-    const roomStats = await Emotion.aggregate([
-      {
-        $match: {
-          roomId: roomId,
-          createdAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          averageSentiment: { $avg: "$sentimentScore" },
-          emotionCounts: {
-            $push: "$emotion"
-          }
-        }
-      }
-    ]);
-
-    // Get dominant emotion
-    let dominantEmotion = 'neutral';
-    if (roomStats.length > 0) {
-      const emotionFreq = {};
-      roomStats[0].emotionCounts.forEach(emotion => {
-        emotionFreq[emotion] = (emotionFreq[emotion] || 0) + 1;
-      });
-      dominantEmotion = Object.keys(emotionFreq).reduce((a, b) => 
-        emotionFreq[a] > emotionFreq[b] ? a : b, 'neutral');
+    // Daily trends and the current context are maintained live by the message pipeline;
+    // rooms without any yet get them rebuilt from their emotion records.
+    // Both aggregate every participant, so rooms that don't share emotions leave them out.
+    const sharing = chatRoom.settings.emotionSharing !== false;
+    let currentContext = null;
+    let emotionTrends = [];
+
+    if (sharing) {
+      await chatRoom.backfillEmotionTrends();
+      const { emotionalContext } = chatRoom;
+      currentContext = {
+        averageSentiment: parseFloat(emotionalContext.averageSentiment.toFixed(3)),
+        dominantEmotion: emotionalContext.dominantEmotion
+      };
+      emotionTrends = emotionalContext.emotionTrends
+        .filter(trend => trend.date >= startDate)
+        .sort((a, b) => b.date - a.date)
+        .map(trend => ({
+          _id: trend.date.toISOString().slice(0, 10),
+          emotions: Object.entries(trend.toObject().emotions)
+            .filter(([, count]) => count > 0)
+            .map(([emotion, count]) => ({ emotion, count })),
+          totalMessages: trend.messageCount,
+          dailyAvgSentiment: parseFloat(trend.averageSentiment.toFixed(3))
+        }));
     }
 
     res.json({
@@ -601,11 +569,7 @@ router.get('/trends/:roomId', auth, async (req, res) => {
           hasNext: page < Math.ceil(totalEmotions / limit),
           hasPrev: page > 1
         },
-        currentContext: {
-          averageSentiment: roomStats.length > 0 ? 
-            parseFloat(roomStats[0].averageSentiment.toFixed(3)) : 0,
-          dominantEmotion
-        },
+        currentContext,
         dailyTrends: emotionTrends,
         recentEmotions: roomEmotions.map(emotion => ({
           id: emotion._id,
@@ -860,7 +824,7 @@ router.get('/history', auth, [
         trends: emotionTrends,
         emotions: recentEmotions.map(emotion => ({
           id: emotion._id,
-          text: emotion.text.substring(0, 100) + (emotion.text.length > 100 ? '...' : ''),
+          text: emotion.text ? emotion.text.substring(0, 100) + (emotion.text.length > 100 ? '...' : '') : null,
           emotion: emotion.emotion,
           sentimentScore: emotion.sentimentScore,
           magnitude: emotion.magnitude,
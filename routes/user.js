@@ -1,7 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { PRESENCE_FIELDS, maskPresence, broadcastPresence, buildPresencePayload, refreshPresence } = require('../utils/presence');
+const { emitToUser } = require('../config/socket');
 
 const router = express.Router();
 
@@ -138,12 +141,19 @@ router.put('/preferences', auth, [
       }
     }
 
+    const previousShowOnlineStatus = req.user.preferences.privacy.showOnlineStatus;
+
     const user = await User.findByIdAndUpdate(
       req.userId,
       updateFields,
       { new: true }
     );
 
+    // Let contacts know when the user starts or stops sharing their online status
+    if (user.preferences.privacy.showOnlineStatus !== previousShowOnlineStatus) {
+      await broadcastPresence(user, { privacyChanged: true });
+    }
+
     res.json({
       success: true,
       message: 'Preferences updated successfully',
@@ -183,24 +193,31 @@ router.get('/search', auth, async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     const searchRegex = new RegExp(query, 'i');
+
+    // Users on either side of a block never find each other
+    const blockRelations = await User.getBlockRelations(req.userId);
+    const excludedIds = [req.userId, ...blockRelations];
     
     const users = await User.find({
       $or: [
         { username: searchRegex },
         { email: searchRegex }
       ],
-      _id: { $ne: req.userId }
+      _id: { $nin: excludedIds }
     })
-    .select('username avatar isOnline lastSeen')
+    .select(PRESENCE_FIELDS)
     .skip(skip)
     .limit(limitNum);
 
+    // Blocked users are already excluded, so only the privacy setting applies
+    maskPresence(users, req.userId);
+
     const total = await User.countDocuments({
       $or: [
         { username: searchRegex },
         { email: searchRegex }
       ],
-      _id: { $ne: req.userId }
+      _id: { $nin: excludedIds }
     });
 
     res.json({
@@ -225,13 +242,125 @@ router.get('/search', auth, async (req, res) => {
   }
 });
 
+// List the users the caller blocked
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('blockedUsers.user', 'username avatar');
+
+    res.json({
+      success: true,
+      data: {
+        blockedUsers: user.blockedUsers
+          .filter(b => b.user)
+          .map(b => ({
+            id: b.user._id,
+            username: b.user.username,
+            avatar: b.user.avatar,
+            blockedAt: b.blockedAt
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving blocked users'
+    });
+  }
+});
+
+// Block a user
+router.post('/:userId/block', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (userId === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const target = await User.findById(userId).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    await user.blockUser(target._id);
+
+    // The blocked user's clients stop showing the caller as online
+    emitToUser(target._id, 'presence:update', buildPresencePayload(user, false));
+
+    res.json({
+      success: true,
+      message: 'User blocked successfully',
+      data: { userId: target._id, isBlocked: true }
+    });
+
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error blocking user'
+    });
+  }
+});
+
+// Unblock a user
+router.delete('/:userId/block', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(req.userId);
+    if (!user.hasBlocked(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    await user.unblockUser(userId);
+
+    // Presence is shared again unless the other side still blocks the caller
+    if (user.preferences.privacy.showOnlineStatus && !(await User.isBlockedBetween(user._id, userId))) {
+      emitToUser(userId, 'presence:update', buildPresencePayload(user));
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked successfully',
+      data: { userId, isBlocked: false }
+    });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unblocking user'
+    });
+  }
+});
+
 // Get user by ID
 router.get('/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
 
     const user = await User.findById(userId)
-      .select('username avatar isOnline lastSeen emotionalProfile preferences.privacy');
+      .select('username avatar isOnline lastSeen emotionalProfile preferences.privacy blockedUsers');
 
     if (!user) {
       return res.status(404).json({
@@ -240,17 +369,22 @@ router.get('/:userId', auth, async (req, res) => {
       });
     }
 
+    // Users who blocked the caller only show their name and avatar
+    const blockedCaller = user.hasBlocked(req.userId);
+
     // Filter sensitive information based on privacy settings
+    const showOnlineStatus = user.preferences.privacy.showOnlineStatus && !blockedCaller;
     const userData = {
       id: user._id,
       username: user.username,
       avatar: user.avatar,
-      isOnline: user.preferences.privacy.showOnlineStatus ? user.isOnline : false,
-      lastSeen: user.preferences.privacy.showOnlineStatus ? user.lastSeen : null
+      isOnline: showOnlineStatus ? user.isOnline : false,
+      lastSeen: showOnlineStatus ? user.lastSeen : null,
+      isBlocked: req.user.hasBlocked(user._id)
     };
 
     // Only include emotional profile if user allows emotion sharing
-    if (user.preferences.privacy.shareEmotions) {
+    if (user.preferences.privacy.shareEmotions && !blockedCaller) {
       userData.emotionalProfile = {
         dominantEmotion: user.emotionalProfile.dominantEmotion,
         averageSentiment: user.emotionalProfile.averageSentiment
@@ -271,7 +405,8 @@ router.get('/:userId', auth, async (req, res) => {
   }
 });
 
-// Update online status
+// Update online status. Presence follows the user's socket connections, so this only
+// refreshes lastSeen and reports the current state.
 router.put('/status', auth, [
   body('isOnline')
     .isBoolean()
@@ -287,16 +422,7 @@ router.put('/status', auth, [
       });
     }
 
-    const { isOnline } = req.body;
-
-    const user = await User.findByIdAndUpdate(
-      req.userId,
-      { 
-        isOnline,
-        lastSeen: new Date()
-      },
-      { new: true }
-    );
+    const user = await refreshPresence(req.userId);
 
     res.json({
       success: true,
@@ -13,6 +13,17 @@ require('dotenv').config();
 const { initializeFirebase } = require('./config/firebase');
 initializeFirebase();
 
+const { socketAuth } = require('./middleware/socketAuth');
+const ChatRoom = require('./models/ChatRoom');
+const { createMessage, MESSAGE_TYPES, REPLY_TARGET_NOT_FOUND, MESSAGING_BLOCKED } = require('./utils/messagePipeline');
+const { initializeSocket } = require('./config/socket');
+const { emitMessageEvent, serializeMessageFor } = require('./utils/emotionPrivacy');
+const { handleConnect, handleDisconnect, resetPresence } = require('./utils/presence');
+const { acknowledgeMessages } = require('./utils/deliveryReceipts');
+const { syncRooms, validateSyncCursors } = require('./utils/messageSync');
+const { sanitizeLinkedAttachments } = require('./utils/attachments');
+const { startMessageExpiry } = require('./utils/messageExpiry');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -53,7 +64,12 @@ app.use(express.urlencoded({ extended: true }));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-.then(() => console.log('Connected to MongoDB Atlas'))
+.then(() => {
+  console.log('Connected to MongoDB Atlas');
+  startMessageExpiry();
+  // No sockets survive a restart, so nobody can still be online
+  return resetPresence();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -88,38 +104,171 @@ app.get('/', (req, res) => {
   });
 });
 
+// Socket.io authentication
+io.use(socketAuth);
+initializeSocket(io);
+
+// Only sockets that have joined a room may broadcast into it
+const isInRoom = (socket, roomId) => Boolean(roomId) && socket.rooms.has(roomId.toString());
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  console.log(`User connected: ${socket.id} (user ${socket.userId})`);
+
+  // Presence: join the user's private room and mark them online on their first device
+  handleConnect(socket);
 
   // Join a chat room
-  socket.on('join-room', (roomId) => {
-    socket.join(roomId);
-    console.log(`User ${socket.id} joined room ${roomId}`);
+  socket.on('join-room', async (roomId, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(roomId)) {
+        return respond({ success: false, message: 'Invalid room ID' });
+      }
+
+      // Verify user is a participant of this chat room
+      const chatRoom = await ChatRoom.findOne({
+        _id: roomId,
+        'participants.user': socket.userId,
+        isActive: true
+      }).select('_id');
+
+      if (!chatRoom) {
+        return respond({ success: false, message: 'Chat room not found or access denied' });
+      }
+
+      socket.join(roomId.toString());
+      console.log(`User ${socket.userId} joined room ${roomId}`);
+      respond({ success: true, message: 'Joined chat room' });
+    } catch (error) {
+      console.error('Join room error:', error.message);
+      respond({ success: false, message: 'Server error joining chat room' });
+    }
+  });
+
+  // Handle new messages: persist, analyze and notify, then broadcast the saved message
+  socket.on('send-message', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const { roomId, content, messageType = 'text', replyTo, attachments } = data || {};
+
+      if (!mongoose.Types.ObjectId.isValid(roomId)) {
+        return respond({ success: false, message: 'Invalid room ID' });
+      }
+      if (typeof content !== 'string' || content.trim().length === 0 || content.length > 1000) {
+        return respond({ success: false, message: 'Message content is required and must be less than 1000 characters' });
+      }
+      if (!MESSAGE_TYPES.includes(messageType)) {
+        return respond({ success: false, message: 'Invalid message type' });
+      }
+      if (replyTo && !mongoose.Types.ObjectId.isValid(replyTo)) {
+        return respond({ success: false, message: 'Invalid reply message ID' });
+      }
+
+      // Verify user has access to this chat room
+      const chatRoom = await ChatRoom.findOne({
+        _id: roomId,
+        'participants.user': socket.userId,
+        isActive: true
+      }).populate('participants.user');
+
+      if (!chatRoom) {
+        return respond({ success: false, message: 'Chat room not found or access denied' });
+      }
+
+      const { message } = await createMessage({
+        senderId: socket.userId,
+        chatRoom,
+        content,
+        messageType,
+        replyTo,
+        attachments: sanitizeLinkedAttachments(attachments)
+      });
+
+      // Broadcast message to room. `receive-message` is kept for older clients, which expect
+      // the bare message object (with its roomId) rather than an event envelope.
+      emitMessageEvent(chatRoom, 'message:new', message);
+      socket.to(roomId.toString()).emit('receive-message', {
+        ...serializeMessageFor(message, chatRoom, null),
+        roomId: roomId.toString()
+      });
+
+      respond({ success: true, message: 'Message sent successfully', data: { message } });
+    } catch (error) {
+      if (error.message === REPLY_TARGET_NOT_FOUND || error.message === MESSAGING_BLOCKED) {
+        return respond({ success: false, message: error.message });
+      }
+
+      console.error('Socket send message error:', error);
+      respond({ success: false, message: 'Server error sending message' });
+    }
+  });
+
+  // Delivery and read receipts: clients acknowledge messages they received or displayed
+  ['delivered', 'read'].forEach(type => {
+    socket.on(`mark-${type}`, async (data, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        const messageIds = data && Array.isArray(data.messageIds) ? data.messageIds : [];
+
+        if (messageIds.length === 0 || !messageIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+          return respond({ success: false, message: 'messageIds must be a non-empty array of message IDs' });
+        }
+
+        const receipts = await acknowledgeMessages(socket.userId, messageIds, type);
+        respond({ success: true, data: { receipts } });
+      } catch (error) {
+        console.error(`Socket mark-${type} error:`, error.message);
+        respond({ success: false, message: 'Server error updating receipts' });
+      }
+    });
   });
 
-  // Handle new messages
-  socket.on('send-message', (data) => {
-    // Broadcast message to room
-    socket.to(data.roomId).emit('receive-message', data);
+  // Replay missed messages, edits, deletions and receipts after a reconnect
+  socket.on('sync', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const rooms = data ? data.rooms : undefined;
+      const validationError = validateSyncCursors(rooms);
+
+      if (validationError) {
+        return respond({ success: false, message: validationError });
+      }
+
+      respond({ success: true, data: { rooms: await syncRooms(socket.userId, rooms) } });
+    } catch (error) {
+      console.error('Socket sync error:', error.message);
+      respond({ success: false, message: 'Server error syncing messages' });
+    }
   });
 
   // Handle emotion updates
   socket.on('emotion-update', (data) => {
+    if (!data || !isInRoom(socket, data.roomId)) return;
+
     socket.to(data.roomId).emit('emotion-received', data);
   });
 
   // Handle typing indicators
   socket.on('typing', (data) => {
+    if (!data || !isInRoom(socket, data.roomId)) return;
+
     socket.to(data.roomId).emit('user-typing', data);
   });
 
   socket.on('stop-typing', (data) => {
+    if (!data || !isInRoom(socket, data.roomId)) return;
+
     socket.to(data.roomId).emit('user-stopped-typing', data);
   });
 
   socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+    console.log(`User disconnected: ${socket.id} (user ${socket.userId})`);
+    handleDisconnect(socket);
   });
 });
 
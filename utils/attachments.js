@@ -0,0 +1,158 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { getStorage } = require('../config/storage');
+const { sniffImageType, stripImageMetadata } = require('./imageMetadata');
+
+const MB = 1024 * 1024;
+
+// Accepted MIME types and size limits per attachment type
+const ATTACHMENT_RULES = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    maxSize: 10 * MB
+  },
+  voice: {
+    mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav'],
+    maxSize: 10 * MB
+  },
+  file: {
+    mimeTypes: [
+      'application/pdf',
+      'text/plain',
+      'application/zip',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    maxSize: 25 * MB
+  }
+};
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// Largest file accepted for any type, enforced while the upload is still streaming
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(ATTACHMENT_RULES).map(rule => rule.maxSize));
+
+/**
+ * Map a MIME type to its attachment type
+ * @param {string} mimeType - Declared MIME type
+ * @returns {string|null} - 'image', 'voice' or 'file', or null if the type is not accepted
+ */
+const getAttachmentType = (mimeType) =>
+  Object.keys(ATTACHMENT_RULES).find(type => ATTACHMENT_RULES[type].mimeTypes.includes(mimeType)) || null;
+
+/**
+ * Check an uploaded file against the rules for its type.
+ * Images must also really be the format they claim to be.
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {string|null} - Error message, or null if the file is accepted
+ */
+const validateUpload = (file) => {
+  const type = getAttachmentType(file.mimetype);
+  if (!type) {
+    return `${file.originalname}: file type ${file.mimetype} is not allowed`;
+  }
+
+  const { maxSize } = ATTACHMENT_RULES[type];
+  if (file.size > maxSize) {
+    return `${file.originalname}: ${type} attachments must be at most ${maxSize / MB} MB`;
+  }
+
+  if (type === 'image' && sniffImageType(file.buffer) !== file.mimetype) {
+    return `${file.originalname}: file content does not match ${file.mimetype}`;
+  }
+
+  return null;
+};
+
+// Keep only a short, safe extension from the client's filename
+const getExtension = (filename) =>
+  path.extname(filename || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+
+/**
+ * Store validated uploads and build their `Message.attachments` entries.
+ * Image metadata is stripped before storing. If any file fails to store,
+ * the ones already stored are removed again.
+ * @param {string} roomId - Chat room the files are sent to
+ * @param {Object[]} files - Multer files (already validated)
+ * @returns {Promise<Object[]>} - Attachment entries, including their storage keys
+ */
+const storeAttachments = async (roomId, files) => {
+  const storage = getStorage();
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const type = getAttachmentType(file.mimetype);
+      const buffer = type === 'image' ? stripImageMetadata(file.buffer, file.mimetype) : file.buffer;
+      const id = new mongoose.Types.ObjectId();
+      const storageKey = `${roomId}/${id}${getExtension(file.originalname)}`;
+
+      await storage.save(storageKey, buffer, { mimeType: file.mimetype });
+
+      attachments.push({
+        _id: id,
+        type,
+        url: `/api/chat/attachments/${id}`,
+        filename: path.basename(file.originalname).slice(0, 255),
+        size: buffer.length,
+        mimeType: file.mimetype,
+        storageKey
+      });
+    }
+  } catch (error) {
+    await removeStoredAttachments(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+/**
+ * Delete the stored files of uploaded attachments (linked attachments are skipped).
+ * Failures are logged, never thrown.
+ * @param {Object[]} attachments - Attachment entries
+ */
+const removeStoredAttachments = async (attachments) => {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    if (!attachment.storageKey) continue;
+
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Failed to remove attachment ${attachment.storageKey}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Clean attachment metadata sent by clients that host their files elsewhere.
+ * Only uploads may reference stored files, so storage keys are never accepted from clients.
+ * @param {*} attachments - Value received from the client
+ * @returns {Object[]|undefined} - Attachment entries
+ */
+const sanitizeLinkedAttachments = (attachments) => {
+  if (!Array.isArray(attachments)) {
+    return undefined;
+  }
+
+  return attachments
+    .filter(attachment => attachment && typeof attachment === 'object' && !Array.isArray(attachment))
+    .map(({ type, url, filename, size, mimeType }) => ({
+      type, url, filename, size, mimeType
+    }));
+};
+
+module.exports = {
+  ATTACHMENT_RULES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  MAX_UPLOAD_SIZE,
+  getAttachmentType,
+  validateUpload,
+  storeAttachments,
+  removeStoredAttachments,
+  sanitizeLinkedAttachments
+};
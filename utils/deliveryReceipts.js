@@ -0,0 +1,85 @@
+const Message = require('../models/Message');
+const ChatRoom = require('../models/ChatRoom');
+const { emitToUser } = require('../config/socket');
+const { markRoomRead } = require('./unreadCounts');
+
+// Maximum number of messages a client may acknowledge in one call
+const MAX_ACK_BATCH = 100;
+
+// Mark each room read up to the newest of the given messages in it
+const readMessages = async (userId, messages) => {
+  const newestByRoom = new Map();
+  messages.forEach(message => {
+    const roomId = message.chatRoom.toString();
+    const newest = newestByRoom.get(roomId);
+    if (!newest || message.createdAt > newest) {
+      newestByRoom.set(roomId, message.createdAt);
+    }
+  });
+
+  const acknowledged = [];
+
+  for (const [roomId, upTo] of newestByRoom) {
+    const chatRoom = await ChatRoom.findOne({ _id: roomId, 'participants.user': userId });
+    if (!chatRoom) continue;
+
+    const { receipts } = await markRoomRead(chatRoom, userId, upTo);
+    acknowledged.push(...receipts);
+  }
+
+  return acknowledged;
+};
+
+/**
+ * Record delivery or read receipts from a recipient and notify each sender.
+ * Deliveries are recorded per message, and each sender receives a `message:delivered` event.
+ * Reading goes through markRoomRead: the room's read marker moves up to the newest read
+ * message, so everything before it is read too, unread counts stay in step and senders
+ * receive `message:read` events.
+ * @param {string} userId - Recipient acknowledging the messages
+ * @param {string[]} messageIds - Messages being acknowledged
+ * @param {string} type - 'delivered' or 'read'
+ * @returns {Promise<Object[]>} - Receipts that changed: { messageId, roomId, deliveredAt, readAt }
+ */
+const acknowledgeMessages = async (userId, messageIds, type) => {
+  const timestamp = new Date();
+
+  const messages = await Message.find({
+    _id: { $in: messageIds.slice(0, MAX_ACK_BATCH) },
+    'receipts.user': userId,
+    'metadata.isDeleted': false
+  });
+
+  if (type === 'read') {
+    return readMessages(userId, messages);
+  }
+
+  const acknowledged = [];
+
+  for (const message of messages) {
+    const receipt = message.markDeliveredTo(userId, timestamp);
+
+    if (!receipt) continue;
+
+    await message.save();
+
+    const payload = {
+      messageId: message._id.toString(),
+      roomId: message.chatRoom.toString(),
+      userId: userId.toString(),
+      deliveredAt: receipt.deliveredAt,
+      readAt: receipt.readAt,
+      deliveryStatus: message.metadata.deliveryStatus
+    };
+
+    emitToUser(message.sender, 'message:delivered', payload);
+    acknowledged.push(payload);
+  }
+
+  return acknowledged;
+};
+
+module.exports = {
+  MAX_ACK_BATCH,
+  acknowledgeMessages
+};
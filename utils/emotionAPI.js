@@ -214,9 +214,31 @@ const getEmotionStatistics = (emotionResults) => {
   };
 };
 
+// Emotion signalled by common reaction emojis
+const reactionEmotions = {
+  '❤️': 'joy', '😍': 'joy', '😂': 'joy', '😊': 'joy', '🎉': 'joy', '👍': 'joy', '🙏': 'joy', '🤗': 'joy',
+  '😢': 'sadness', '😭': 'sadness', '💔': 'sadness',
+  '😠': 'anger', '😡': 'anger', '👎': 'anger',
+  '😨': 'fear', '😰': 'fear',
+  '😮': 'surprise', '😲': 'surprise', '🤯': 'surprise',
+  '🤢': 'disgust', '🤮': 'disgust'
+};
+
+/**
+ * Map a reaction emoji to the emotion it signals
+ * @param {string} emoji - Reaction emoji
+ * @returns {string|null} - Emotion, or null if the emoji carries no clear emotion
+ */
+const mapReactionToEmotion = (emoji) => {
+  // Normalize hearts sent without the emoji variation selector
+  const normalized = emoji === '❤' ? '❤️' : emoji;
+  return reactionEmotions[normalized] || null;
+};
+
 module.exports = {
   analyzeEmotion,
   analyzeBatchEmotions,
   getEmotionStatistics,
-  mapScoreToEmotion
+  mapScoreToEmotion,
+  mapReactionToEmotion
 };
@@ -0,0 +1,77 @@
+const { emitToRoom, emitToUser, getIO, userRoom, buildMessageEvent } = require('../config/socket');
+
+/**
+ * Check whether a viewer may see the emotion data of a message.
+ * Authors always see their own analysis; others only when the room shares emotions.
+ * @param {Object} chatRoom - Chat room (needs `settings`)
+ * @param {Object} message - Message document
+ * @param {string} viewerId - User viewing the message
+ * @returns {boolean}
+ */
+const canSeeEmotion = (chatRoom, message, viewerId) => {
+  if (!chatRoom || !chatRoom.settings || chatRoom.settings.emotionSharing !== false) {
+    return true;
+  }
+
+  const senderId = message.sender && (message.sender._id || message.sender);
+  return Boolean(senderId && viewerId && senderId.toString() === viewerId.toString());
+};
+
+/**
+ * Serialize a message for one viewer, removing emotion fields they may not see
+ * (including those of a populated `replyTo` message). Polls also get the viewer's own votes.
+ * @param {Object} message - Message document
+ * @param {Object} chatRoom - Chat room the message belongs to
+ * @param {string} viewerId - User receiving the payload
+ * @returns {Object} - Plain message object
+ */
+const serializeMessageFor = (message, chatRoom, viewerId) => {
+  const data = typeof message.toJSON === 'function' ? message.toJSON() : { ...message };
+
+  if (!canSeeEmotion(chatRoom, message, viewerId)) {
+    data.emotion = null;
+  }
+
+  if (data.replyTo && typeof data.replyTo === 'object' && data.replyTo.emotion &&
+      !canSeeEmotion(chatRoom, data.replyTo, viewerId)) {
+    data.replyTo = { ...data.replyTo, emotion: null };
+  }
+
+  // Voters see their own choices, even in anonymous polls
+  if (data.poll && viewerId && typeof message.getPollVotes === 'function') {
+    data.poll.myVotes = message.getPollVotes(viewerId);
+  }
+
+  return data;
+};
+
+/**
+ * Broadcast a `message:*` event to a room, honouring the room's emotion sharing setting:
+ * with sharing off, only the author's devices receive the emotion payload.
+ * @param {Object} chatRoom - Chat room (needs `_id` and `settings`)
+ * @param {string} event - Event name
+ * @param {Object} message - Message document
+ * @param {Object} extra - Additional payload fields
+ */
+const emitMessageEvent = (chatRoom, event, message, extra = {}) => {
+  if (!chatRoom.settings || chatRoom.settings.emotionSharing !== false) {
+    emitToRoom(chatRoom._id, event, buildMessageEvent(message, extra));
+    return;
+  }
+
+  const senderId = (message.sender._id || message.sender).toString();
+  emitToUser(senderId, event, buildMessageEvent(message, extra));
+
+  const io = getIO();
+  if (io) {
+    io.to(chatRoom._id.toString())
+      .except(userRoom(senderId))
+      .emit(event, buildMessageEvent(serializeMessageFor(message, chatRoom, null), { ...extra, emotion: null }));
+  }
+};
+
+module.exports = {
+  canSeeEmotion,
+  serializeMessageFor,
+  emitMessageEvent
+};
@@ -0,0 +1,125 @@
+// JPEG segments dropped when stripping metadata: APP1 (EXIF, XMP), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = [0xE1, 0xED, 0xFE];
+
+// PNG chunks that carry camera data, free text or timestamps
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Detect the image format from the file's leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - MIME type, or null if not a supported image
+ */
+const sniffImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' &&
+      buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Copy every JPEG segment up to the image data except the metadata ones
+const stripJpegMetadata = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+
+    // Fill byte before a marker
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+
+    // Start of scan: everything from here on is image data
+    if (marker === 0xDA) break;
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (!JPEG_METADATA_MARKERS.includes(marker)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+};
+
+// Copy every PNG chunk except the metadata ones
+const stripPngMetadata = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buffer.length) {
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(parts);
+};
+
+// Drop the EXIF and XMP chunks of a WebP file and clear their flags in the VP8X header
+const stripWebpMetadata = (buffer) => {
+  const parts = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const fourcc = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = Math.min(buffer.length, offset + 8 + size + (size % 2));
+
+    if (fourcc === 'VP8X') {
+      const chunk = Buffer.from(buffer.subarray(offset, end));
+      chunk[8] &= ~(0x08 | 0x04);
+      parts.push(chunk);
+    } else if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.from(buffer.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+};
+
+/**
+ * Remove EXIF and similar metadata (camera, location, timestamps) from an image.
+ * Pixel data is copied unchanged, so EXIF orientation is lost along with the rest.
+ * @param {Buffer} buffer - Image contents
+ * @param {string} mimeType - Image type, as returned by sniffImageType
+ * @returns {Buffer} - Image without metadata (GIFs are returned as is)
+ */
+const stripImageMetadata = (buffer, mimeType) => {
+  switch (mimeType) {
+    case 'image/jpeg':
+      return stripJpegMetadata(buffer);
+    case 'image/png':
+      return stripPngMetadata(buffer);
+    case 'image/webp':
+      return stripWebpMetadata(buffer);
+    default:
+      return buffer;
+  }
+};
+
+module.exports = {
+  sniffImageType,
+  stripImageMetadata
+};
@@ -0,0 +1,48 @@
+/**
+ * Find @username mentions of room participants in a message text.
+ * Usernames are matched case-insensitively; unknown names and the sender are ignored.
+ * @param {string} content - Message text
+ * @param {Object[]} users - Room participants that can be mentioned ({ _id, username })
+ * @returns {Object[]} - Mention entities: { user, username, offset, length } (offsets in UTF-16 units)
+ */
+const parseMentions = (content, users) => {
+  if (!content || users.length === 0) {
+    return [];
+  }
+
+  const usersByName = new Map(
+    users.filter(u => u && u.username).map(u => [u.username.toLowerCase(), u])
+  );
+
+  // `@` must start the text or follow something other than a word character (so emails don't match)
+  const pattern = /(^|[^\w@])@(\w{3,30})(?!\w)/g;
+  const mentions = [];
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const user = usersByName.get(match[2].toLowerCase());
+    if (!user) continue;
+
+    mentions.push({
+      user: user._id,
+      username: user.username,
+      offset: match.index + match[1].length,
+      length: match[2].length + 1
+    });
+  }
+
+  return mentions;
+};
+
+/**
+ * Get the distinct users mentioned in a message
+ * @param {Object} message - Message with `mentions`
+ * @returns {string[]} - User IDs
+ */
+const getMentionedUserIds = (message) =>
+  [...new Set((message.mentions || []).map(m => (m.user._id || m.user).toString()))];
+
+module.exports = {
+  parseMentions,
+  getMentionedUserIds
+};
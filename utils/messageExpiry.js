@@ -0,0 +1,148 @@
+const Message = require('../models/Message');
+const ChatRoom = require('../models/ChatRoom');
+const Emotion = require('../models/Emotion');
+const Bookmark = require('../models/Bookmark');
+const { emitToRoom } = require('../config/socket');
+const { removeStoredAttachments } = require('./attachments');
+
+const PURGE_BATCH_SIZE = 500;
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Describe a message lifetime for people, e.g. "7 days" or "90 minutes"
+ * @param {number} minutes - Lifetime in minutes
+ * @returns {string}
+ */
+const formatLifetime = (minutes) => {
+  const units = [['day', 1440], ['hour', 60], ['minute', 1]];
+  const [unit, size] = units.find(([, size]) => minutes % size === 0);
+  const count = minutes / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Point rooms whose last message expired at their newest message that didn't
+ * @param {ObjectId[]} messageIds - Expired messages
+ */
+const repointLastMessages = async (messageIds) => {
+  const chatRooms = await ChatRoom.find({ lastMessage: { $in: messageIds } }).select('lastMessage');
+
+  for (const chatRoom of chatRooms) {
+    const latest = await Message.findOne({
+      chatRoom: chatRoom._id,
+      'metadata.expiredAt': null
+    })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('_id');
+
+    // Leave rooms alone that got a new message in the meantime
+    await ChatRoom.updateOne(
+      { _id: chatRoom._id, lastMessage: chatRoom.lastMessage },
+      { lastMessage: latest ? latest._id : null }
+    );
+  }
+};
+
+/**
+ * Purge disappearing messages whose lifetime has run out. They are emptied into tombstones
+ * (see Message.expireMessages) that sync replays as `message:expired`, and rooms whose last
+ * message expired point at their newest remaining one. Their `Emotion` records lose the
+ * message text but keep their scores, and the rooms' aggregated trends are kept.
+ * Each room is told which of its messages expired with a `message:expired` event.
+ * @param {Date} now - Purge messages that expired at or before this time
+ * @returns {Promise<number>} - Number of purged messages
+ */
+const purgeExpiredMessages = async (now = new Date()) => {
+  let purged = 0;
+
+  for (;;) {
+    const messages = await Message.find({ expiresAt: { $lte: now } })
+      .select('chatRoom attachments threadRoot')
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+
+    if (messages.length === 0) break;
+
+    const messageIds = messages.map(m => m._id);
+    await Emotion.updateMany(
+      { messageId: { $in: messageIds } },
+      { $unset: { text: 1 }, $set: { textPurgedAt: now } }
+    );
+    await Message.expireMessages(messageIds, now);
+    await ChatRoom.updateMany(
+      { 'pinnedMessages.message': { $in: messageIds } },
+      { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+    );
+    await Bookmark.removeForMessages(messageIds);
+    await removeStoredAttachments(messages.flatMap(m => m.attachments || []));
+
+    const rooms = new Map();
+    const threadReplies = new Map();
+    messages.forEach(message => {
+      const roomId = message.chatRoom.toString();
+      if (!rooms.has(roomId)) {
+        rooms.set(roomId, []);
+      }
+      rooms.get(roomId).push(message._id.toString());
+
+      if (message.threadRoot) {
+        const rootId = message.threadRoot.toString();
+        threadReplies.set(rootId, (threadReplies.get(rootId) || 0) + 1);
+      }
+    });
+
+    // Replies that expired before their thread root no longer count towards it
+    for (const [rootId, count] of threadReplies) {
+      await Message.updateOne({ _id: rootId }, [{
+        $set: { 'thread.replyCount': { $max: [0, { $subtract: ['$thread.replyCount', count] }] } }
+      }]);
+    }
+
+    await repointLastMessages(messageIds);
+
+    rooms.forEach((ids, roomId) => emitToRoom(roomId, 'message:expired', {
+      roomId,
+      messageIds: ids,
+      timestamp: new Date().toISOString()
+    }));
+
+    purged += messages.length;
+    if (messages.length < PURGE_BATCH_SIZE) break;
+  }
+
+  return purged;
+};
+
+/**
+ * Purge expired messages now and then once a minute
+ * @returns {Object} - Interval timer
+ */
+const startMessageExpiry = () => {
+  let running = false;
+
+  const run = async () => {
+    // A slow purge must not overlap with the next one
+    if (running) return;
+    running = true;
+
+    try {
+      const purged = await purgeExpiredMessages();
+      if (purged > 0) {
+        console.log(`🧹 Purged ${purged} expired messages`);
+      }
+    } catch (error) {
+      console.error('Message expiry error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS);
+};
+
+module.exports = {
+  formatLifetime,
+  purgeExpiredMessages,
+  startMessageExpiry
+};
@@ -0,0 +1,618 @@
+const Message = require('../models/Message');
+const ChatRoom = require('../models/ChatRoom');
+const User = require('../models/User');
+const Emotion = require('../models/Emotion');
+const { analyzeEmotion } = require('./emotionAPI');
+const { sendNotificationToMultiple } = require('../config/firebase');
+const { emitToRoom, emitToUser, buildMessageEvent } = require('../config/socket');
+const { parseMentions, getMentionedUserIds } = require('./mentions');
+
+const MESSAGE_TYPES = ['text', 'image', 'file', 'emoji', 'voice'];
+
+// Thrown by createMessage when replyTo does not point to a live message in the same room
+const REPLY_TARGET_NOT_FOUND = 'Reply target not found in this chat room';
+
+// Thrown by createMessage when either side of a private room blocked the other
+const MESSAGING_BLOCKED = 'You cannot send messages in this chat';
+
+const emotionEmojis = {
+  joy: '😊',
+  sadness: '😢',
+  anger: '😠',
+  fear: '😨',
+  surprise: '😲',
+  disgust: '🤢'
+};
+
+/**
+ * Map an analyzeEmotion result onto the Message.emotion sub-document
+ * @param {Object} emotionData - Result of analyzeEmotion
+ * @returns {Object|undefined} - Message emotion block
+ */
+const toMessageEmotion = (emotionData) => {
+  if (!emotionData) {
+    return undefined;
+  }
+
+  return {
+    detected: emotionData.emotion,
+    confidence: emotionData.confidence,
+    sentiment: emotionData.sentiment,
+    processedBy: emotionData.processedBy === 'google-cloud-nlp' ? 'google-nlp' : 'local-analysis',
+    processingTime: emotionData.processingTime || 0
+  };
+};
+
+/**
+ * Send the mental health support notification to the author of a very negative message
+ * @param {string} userId - Author of the message
+ * @param {Object} emotionData - Result of analyzeEmotion
+ * @param {string} roomId - Chat room the message was sent in
+ * @param {Object} emotionRecord - Saved Emotion document
+ */
+const sendSupportNotification = async (userId, emotionData, roomId, emotionRecord) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return;
+
+    const fcmTokens = user.getActiveFCMTokens();
+    if (fcmTokens.length === 0) return;
+
+    const supportTitle = "We're here for you";
+    const supportBody = `Hi ${user.username}, we're here for you. You're not alone 💙`;
+
+    await sendNotificationToMultiple(
+      fcmTokens,
+      supportTitle,
+      supportBody,
+      {
+        type: 'emotional_support',
+        sentimentScore: emotionData.sentiment.score.toString(),
+        emotion: emotionData.emotion,
+        roomId: roomId.toString(),
+        timestamp: new Date().toISOString()
+      },
+      {
+        notification: {
+          tag: 'emotional_support',
+          requireInteraction: true
+        },
+        android: {
+          notification: {
+            icon: 'ic_heart',
+            color: '#4A90E2',
+            sound: 'gentle_chime',
+            priority: 'high'
+          }
+        },
+        apns: {
+          payload: {
+            aps: {
+              sound: 'gentle_chime.wav',
+              badge: 1,
+              category: 'EMOTIONAL_SUPPORT'
+            }
+          }
+        }
+      }
+    );
+
+    // Update emotion record to mark notification as sent
+    emotionRecord.fcmNotificationSent = true;
+    await emotionRecord.save();
+
+    console.log(`🔔 Mental health support notification sent to user ${userId} (sentiment: ${emotionData.sentiment.score})`);
+  } catch (supportError) {
+    console.error('Mental health support notification error:', supportError.message);
+    // Don't fail message sending if support notification fails
+  }
+};
+
+/**
+ * Analyze a message text and store the result in the Emotion collection
+ * @param {string} userId - Author of the message
+ * @param {string} content - Message text
+ * @param {string} roomId - Chat room the message was sent in
+ * @param {Object} existingRecord - Emotion record to overwrite, e.g. when a message is edited (optional)
+ * @returns {Promise<Object>} - { emotionData, emotionRecord }, both null if analysis failed
+ */
+const analyzeMessageEmotion = async (userId, content, roomId, existingRecord = null) => {
+  try {
+    const emotionData = await analyzeEmotion(content);
+
+    // Save emotion data to Emotion collection for analytics
+    const emotionRecord = existingRecord || new Emotion({
+      userId,
+      messageId: null, // Will be updated after message creation
+      roomId
+    });
+
+    emotionRecord.set({
+      text: content,
+      sentimentScore: emotionData.sentiment.score,
+      magnitude: emotionData.sentiment.magnitude,
+      emotion: emotionData.emotion,
+      confidence: emotionData.confidence,
+      processedBy: emotionData.processedBy === 'google-cloud-nlp' ? 'google-cloud-nlp' : 'local-analysis',
+      processingTime: emotionData.processingTime || 0
+    });
+
+    await emotionRecord.save();
+
+    // Check for negative sentiment and trigger support notification (once per message)
+    if (emotionData.sentiment.score <= -0.6 && !emotionRecord.fcmNotificationSent) {
+      await sendSupportNotification(userId, emotionData, roomId, emotionRecord);
+    }
+
+    return { emotionData, emotionRecord };
+  } catch (error) {
+    console.error('Emotion analysis failed:', error.message);
+    // Continue without emotion data if analysis fails
+    return { emotionData: null, emotionRecord: null };
+  }
+};
+
+/**
+ * Send push notifications about a new message to the other room participants.
+ * Each participant's room notification mode decides whether they get every message,
+ * only messages mentioning them, or nothing; mentions are pushed with high priority.
+ * @param {Object} chatRoom - Chat room with populated participants
+ * @param {Object} message - Saved message
+ * @param {Object} emotionData - Result of analyzeEmotion (optional)
+ */
+const sendMessageNotifications = async (chatRoom, message, emotionData) => {
+  try {
+    const senderId = message.sender._id.toString();
+    const mentionedIds = new Set(getMentionedUserIds(message));
+
+    // Users who blocked the sender still share group rooms with them, but get no pushes
+    const blockerIds = new Set(await User.getBlockerIds(senderId));
+
+    const recipients = chatRoom.participants.filter(p => {
+      if (p.user._id.toString() === senderId || blockerIds.has(p.user._id.toString())) return false;
+      const mode = p.notificationMode || 'all';
+      return mode === 'all' || (mode === 'mentions' && mentionedIds.has(p.user._id.toString()));
+    });
+
+    if (recipients.length === 0) return;
+
+    // Muted rooms never push
+    if (chatRoom.settings && chatRoom.settings.notifications === false) return;
+
+    // Emotion hints are only pushed when the room shares emotions
+    const shareEmotion = !chatRoom.settings || chatRoom.settings.emotionSharing !== false;
+
+    const senderName = message.sender.username || 'Someone';
+
+    // Get FCM tokens from the recipients, keeping mentioned users apart
+    const participants = await User.find({
+      _id: { $in: recipients.map(p => p.user._id) },
+      'preferences.notifications.push': true // Only users who enabled push notifications
+    });
+
+    const messageTokens = [];
+    const mentionTokens = [];
+    participants.forEach(participant => {
+      const activeTokens = participant.getActiveFCMTokens();
+      if (mentionedIds.has(participant._id.toString())) {
+        mentionTokens.push(...activeTokens);
+      } else {
+        messageTokens.push(...activeTokens);
+      }
+    });
+
+    if (messageTokens.length === 0 && mentionTokens.length === 0) return;
+
+    let notificationBody = message.content;
+
+    // Add emotion indicator if emotion was detected
+    if (shareEmotion && emotionData && emotionData.confidence > 0.6) {
+      const emoji = emotionEmojis[emotionData.emotion] || '';
+      if (emoji) {
+        notificationBody = `${emoji} ${message.content}`;
+      }
+    }
+
+    // Truncate long messages
+    if (notificationBody.length > 100) {
+      notificationBody = notificationBody.substring(0, 97) + '...';
+    }
+
+    const notificationData = {
+      type: 'new_message',
+      messageId: message._id.toString(),
+      chatRoomId: chatRoom._id.toString(),
+      senderId,
+      senderName: senderName,
+      messageType: message.messageType,
+      timestamp: new Date().toISOString()
+    };
+
+    // Add emotion data if available
+    if (shareEmotion && emotionData) {
+      notificationData.emotion = emotionData.emotion;
+      notificationData.sentiment = emotionData.sentiment.score.toString();
+    }
+
+    const notificationOptions = {
+      android: {
+        notification: {
+          channelId: 'emochat_messages',
+          priority: 'high'
+        }
+      },
+      apns: {
+        payload: {
+          aps: {
+            category: 'message',
+            'thread-id': chatRoom._id.toString()
+          }
+        }
+      }
+    };
+
+    if (messageTokens.length > 0) {
+      const notificationTitle = chatRoom.type === 'private'
+        ? `${senderName}`
+        : `${senderName} in ${chatRoom.name}`;
+
+      await sendNotificationToMultiple(
+        messageTokens,
+        notificationTitle,
+        notificationBody,
+        notificationData,
+        notificationOptions
+      );
+    }
+
+    if (mentionTokens.length > 0) {
+      const mentionTitle = chatRoom.type === 'private'
+        ? `${senderName} mentioned you`
+        : `${senderName} mentioned you in ${chatRoom.name}`;
+
+      await sendNotificationToMultiple(
+        mentionTokens,
+        mentionTitle,
+        notificationBody,
+        { ...notificationData, type: 'mention' },
+        { ...notificationOptions, priority: 'high' }
+      );
+    }
+
+    console.log(`📱 Push notifications sent to ${messageTokens.length + mentionTokens.length} devices for new message (${mentionTokens.length} mentions)`);
+  } catch (notificationError) {
+    console.error('Failed to send push notifications:', notificationError.message);
+    // Don't fail the message sending if notifications fail
+  }
+};
+
+// Participants other than the author that can be mentioned (participants must be populated)
+const getMentionCandidates = (chatRoom, senderId) =>
+  chatRoom.participants
+    .map(p => p.user)
+    .filter(user => user && user.username && user._id.toString() !== senderId.toString());
+
+/**
+ * Send a `room:mood` event when a room's dominant emotion changed.
+ * Rooms that don't share emotions never broadcast their mood.
+ * @param {Object} chatRoom - Chat room after its emotional context was updated
+ * @param {string} previousEmotion - Dominant emotion before the update
+ */
+const emitRoomMood = (chatRoom, previousEmotion) => {
+  const { dominantEmotion, averageSentiment } = chatRoom.emotionalContext;
+
+  if (dominantEmotion === previousEmotion || chatRoom.settings.emotionSharing === false) {
+    return;
+  }
+
+  emitToRoom(chatRoom._id, 'room:mood', {
+    roomId: chatRoom._id.toString(),
+    dominantEmotion,
+    previousEmotion,
+    averageSentiment: parseFloat(averageSentiment.toFixed(3)),
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Create a message and run it through the full pipeline: emotion analysis,
+ * analytics record, emotion history, room activity and emotional context,
+ * and push notifications.
+ * Used by both the REST endpoint and the `send-message` socket event.
+ * @param {Object} params
+ * @param {string} params.senderId - Author of the message
+ * @param {Object} params.chatRoom - Chat room with populated participants (access already verified)
+ * @param {string} params.content - Message text
+ * @param {string} params.messageType - One of MESSAGE_TYPES (default: text)
+ * @param {string} params.replyTo - ID of the message being replied to (optional)
+ * @param {Object[]} params.attachments - Attachment metadata (optional)
+ * @param {Object} params.poll - Poll options and settings, for `poll` messages (optional)
+ * @returns {Promise<Object>} - { message, emotionData }
+ * @throws {Error} - REPLY_TARGET_NOT_FOUND if replyTo is not a live message in the room,
+ *   MESSAGING_BLOCKED if this is a private room and either participant blocked the other
+ */
+const createMessage = async ({ senderId, chatRoom, content, messageType = 'text', replyTo, attachments, poll = null }) => {
+  const roomId = chatRoom._id;
+
+  // For private chats, find the receiver
+  let receiverId = null;
+  if (chatRoom.type === 'private') {
+    const receiver = chatRoom.participants.find(p => p.user._id.toString() !== senderId.toString());
+    receiverId = receiver ? receiver.user._id : null;
+
+    if (receiverId && await User.isBlockedBetween(senderId, receiverId)) {
+      throw new Error(MESSAGING_BLOCKED);
+    }
+  }
+
+  // Replies join the thread of the message they answer
+  let threadRoot = null;
+  if (replyTo) {
+    const parent = await Message.findOne({
+      _id: replyTo,
+      chatRoom: roomId,
+      'metadata.isDeleted': false
+    }).select('threadRoot');
+
+    if (!parent) {
+      throw new Error(REPLY_TARGET_NOT_FOUND);
+    }
+
+    threadRoot = parent.threadRoot || parent._id;
+  }
+
+  // Analyze emotion for text messages, unless the room opted out of analysis
+  const analysisAllowed = !chatRoom.settings || chatRoom.settings.allowEmotionAnalysis !== false;
+  let emotionData = null;
+  let emotionRecord = null;
+  if (analysisAllowed && messageType === 'text' && content && content.trim().length > 0) {
+    ({ emotionData, emotionRecord } = await analyzeMessageEmotion(senderId, content, roomId));
+  }
+
+  // Disappearing messages get their purge time when sent
+  const lifetimeMinutes = chatRoom.settings ? chatRoom.settings.messageLifetimeMinutes : 0;
+  const expiresAt = lifetimeMinutes > 0 ? new Date(Date.now() + lifetimeMinutes * 60 * 1000) : null;
+
+  // Create new message
+  const message = new Message({
+    sender: senderId,
+    receiver: receiverId,
+    content,
+    messageType,
+    chatRoom: roomId,
+    replyTo,
+    threadRoot,
+    attachments,
+    poll,
+    mentions: parseMentions(content, getMentionCandidates(chatRoom, senderId)),
+    emotion: toMessageEmotion(emotionData),
+    expiresAt,
+    receipts: chatRoom.participants
+      .filter(p => p.user._id.toString() !== senderId.toString())
+      .map(p => ({ user: p.user._id }))
+  });
+
+  await message.save();
+  await message.populate([
+    { path: 'sender', select: 'username avatar' },
+    { path: 'receiver', select: 'username avatar' },
+    'replyTo'
+  ]);
+
+  // Let mentioned users' devices update their mentions feed (users who blocked the sender are not told)
+  const mentionedIds = getMentionedUserIds(message);
+  const blockerIds = mentionedIds.length > 0 ? await User.getBlockerIds(senderId) : [];
+  mentionedIds.filter(userId => !blockerIds.includes(userId)).forEach(userId => {
+    emitToUser(userId, 'mention:new', {
+      roomId: roomId.toString(),
+      messageId: message._id.toString(),
+      senderId: senderId.toString(),
+      timestamp: message.createdAt.toISOString()
+    });
+  });
+
+  // Update the thread summary; the author has read the thread up to their own reply
+  if (threadRoot) {
+    try {
+      const root = await Message.recordThreadReply(threadRoot, message);
+      if (root) {
+        await root.markThreadRead(senderId, message.createdAt);
+        emitToRoom(roomId, 'thread:updated', {
+          roomId: roomId.toString(),
+          threadRootId: root._id.toString(),
+          replyCount: root.thread.replyCount,
+          lastReplyAt: root.thread.lastReplyAt,
+          lastReplyId: message._id.toString()
+        });
+      }
+    } catch (error) {
+      console.error('Failed to update thread summary:', error.message);
+    }
+  }
+
+  // Link the emotion record to the saved message
+  if (emotionRecord) {
+    try {
+      emotionRecord.messageId = message._id;
+      await emotionRecord.save();
+    } catch (error) {
+      console.error('Failed to link emotion record to message:', error.message);
+    }
+  }
+
+  // Update user's emotion history if emotion was detected
+  if (emotionData && emotionData.confidence > 0.5) {
+    try {
+      const user = await User.findById(senderId);
+      if (user && user.addEmotionToHistory) {
+        await user.addEmotionToHistory(emotionData.emotion, emotionData.confidence);
+      }
+    } catch (error) {
+      console.error('Failed to update user emotion history:', error.message);
+    }
+  }
+
+  // Update chat room last activity and last message, then fold the analysis into the room's emotional context
+  chatRoom.lastMessage = message._id;
+  chatRoom.lastActivity = new Date();
+  await chatRoom.save();
+
+  if (emotionData) {
+    try {
+      const previousEmotion = chatRoom.emotionalContext.dominantEmotion;
+      await chatRoom.updateEmotionTrends({ [emotionData.emotion]: 1 }, emotionData.sentiment.score);
+      emitRoomMood(chatRoom, previousEmotion);
+    } catch (error) {
+      console.error('Failed to update room emotional context:', error.message);
+    }
+  }
+
+  // Send push notifications to other participants
+  await sendMessageNotifications(chatRoom, message, emotionData);
+
+  return { message, emotionData };
+};
+
+/**
+ * Edit a message: the previous content and emotion go to its edit history, the new text
+ * is re-analyzed and its mentions re-parsed (without new pushes), and the linked Emotion
+ * record and the room's trends are updated to match.
+ * A message analyzed for the first time is added to the trend of the day it was sent.
+ * If the new analysis fails, the previous analysis is kept; if analysis is disabled in the
+ * room, the stale Emotion record is removed.
+ * @param {Object} params
+ * @param {Object} params.message - Message document, loaded with `+editHistory`
+ * @param {Object} params.chatRoom - Chat room the message belongs to (participants populated)
+ * @param {string} params.content - New message text
+ * @returns {Promise<Object>} - { message, emotionData }
+ */
+const editMessage = async ({ message, chatRoom, content }) => {
+  const editedAt = new Date();
+
+  message.editHistory.push({
+    content: message.content,
+    emotion: {
+      detected: message.emotion.detected,
+      confidence: message.emotion.confidence,
+      sentiment: {
+        score: message.emotion.sentiment.score,
+        magnitude: message.emotion.sentiment.magnitude
+      }
+    },
+    editedAt
+  });
+
+  message.content = content;
+  message.mentions = parseMentions(content, getMentionCandidates(chatRoom, message.sender));
+  message.metadata.isEdited = true;
+  message.metadata.editedAt = editedAt;
+
+  const emotionRecord = await Emotion.findOne({ messageId: message._id });
+  const previous = emotionRecord
+    ? { emotion: emotionRecord.emotion, sentiment: emotionRecord.sentimentScore }
+    : null;
+
+  const analysisAllowed = !chatRoom.settings || chatRoom.settings.allowEmotionAnalysis !== false;
+  const analyze = analysisAllowed && message.messageType === 'text';
+  let emotionData = null;
+  if (analyze) {
+    let updatedRecord;
+    ({ emotionData, emotionRecord: updatedRecord } = await analyzeMessageEmotion(
+      message.sender, content, chatRoom._id, emotionRecord
+    ));
+
+    if (updatedRecord && !updatedRecord.messageId) {
+      updatedRecord.messageId = message._id;
+      await updatedRecord.save();
+    }
+  }
+
+  // A failed analysis leaves the previous one (and the room's trends) as they were
+  const analysisFailed = analyze && !emotionData;
+
+  if (emotionData) {
+    message.emotion = toMessageEmotion(emotionData);
+  } else if (!analysisFailed) {
+    // Same values a message that was never analyzed gets from the schema defaults
+    message.emotion = {
+      detected: 'neutral',
+      confidence: 0,
+      sentiment: { score: 0, magnitude: 0 },
+      processedBy: 'local-analysis',
+      processingTime: 0
+    };
+
+    if (emotionRecord) {
+      await Emotion.deleteOne({ _id: emotionRecord._id });
+    }
+  }
+
+  await message.save();
+
+  if (!analysisFailed && (previous || emotionData)) {
+    try {
+      const previousEmotion = chatRoom.emotionalContext.dominantEmotion;
+      if (previous) {
+        const next = emotionData
+          ? { emotion: emotionData.emotion, sentiment: emotionData.sentiment.score }
+          : null;
+        await chatRoom.reviseEmotionTrends(message.createdAt, previous, next);
+      } else {
+        await chatRoom.updateEmotionTrends(
+          { [emotionData.emotion]: 1 }, emotionData.sentiment.score, message.createdAt
+        );
+      }
+      emitRoomMood(chatRoom, previousEmotion);
+    } catch (error) {
+      console.error('Failed to update room emotional context:', error.message);
+    }
+  }
+
+  return { message, emotionData };
+};
+
+/**
+ * Post a system message announcing a room event (membership changes and similar).
+ * System messages skip emotion analysis, receipts and push notifications, and are
+ * broadcast to the room as `message:new`.
+ * @param {Object} params
+ * @param {Object} params.chatRoom - Chat room the event happened in
+ * @param {string} params.actorId - User who caused the event
+ * @param {string} params.action - Event name, e.g. 'participants_added'
+ * @param {string[]} params.targets - Users affected by the event (optional)
+ * @param {string} params.messageId - Message the event is about (optional)
+ * @param {string} params.content - Human readable description
+ * @returns {Promise<Object>} - Saved message
+ */
+const createSystemMessage = async ({ chatRoom, actorId, action, targets = [], messageId = null, content }) => {
+  const message = new Message({
+    sender: actorId,
+    content,
+    messageType: 'system',
+    chatRoom: chatRoom._id,
+    systemEvent: { action, actor: actorId, targets, message: messageId }
+  });
+
+  await message.save();
+  await message.populate({ path: 'sender', select: 'username avatar' });
+
+  await ChatRoom.updateOne(
+    { _id: chatRoom._id },
+    { lastMessage: message._id, lastActivity: message.createdAt }
+  );
+
+  emitToRoom(chatRoom._id, 'message:new', buildMessageEvent(message));
+
+  return message;
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  REPLY_TARGET_NOT_FOUND,
+  MESSAGING_BLOCKED,
+  createMessage,
+  editMessage,
+  createSystemMessage,
+  emitRoomMood,
+  toMessageEmotion
+};
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const ChatRoom = require('../models/ChatRoom');
+const { buildMessageEvent } = require('../config/socket');
+const { serializeMessageFor } = require('./emotionPrivacy');
+const { buildKeysetQuery } = require('./pagination');
+
+// Maximum number of changed messages replayed per room in one sync call
+const SYNC_PAGE_SIZE = 200;
+
+/**
+ * Resolve the point in time a client is synced up to for a room
+ * @param {string} roomId - Chat room ID
+ * @param {Object} cursor - { lastMessageId, since }
+ * @returns {Promise<Date|null>} - Sync point, or null if it cannot be resolved
+ */
+const resolveSyncPoint = async (roomId, { lastMessageId, since }) => {
+  if (lastMessageId) {
+    const lastMessage = await Message.findOne({ _id: lastMessageId, chatRoom: roomId }).select('createdAt');
+    return lastMessage ? lastMessage.createdAt : null;
+  }
+
+  const sinceDate = new Date(since);
+  return isNaN(sinceDate.getTime()) ? null : sinceDate;
+};
+
+/**
+ * Turn one changed message into the socket events the client missed, using the same
+ * event names and payloads as the live `message:*` events
+ * @param {Object} message - Message document
+ * @param {Date} syncPoint - Client sync point
+ * @param {Object} chatRoom - Chat room (for its emotion sharing setting)
+ * @param {string} userId - User being synced
+ * @returns {Object[]} - Events: { event, at, payload }
+ */
+const buildMissedEvents = (message, syncPoint, chatRoom, userId) => {
+  const roomId = message.chatRoom.toString();
+  const messageId = message._id.toString();
+
+  // Messages the user deleted for themselves are replayed as hidden, nothing else
+  if (message.hiddenFor.some(id => id.toString() === userId.toString())) {
+    return [{
+      event: 'message:hidden',
+      at: message.updatedAt,
+      payload: { roomId, messageId, timestamp: message.updatedAt.toISOString() }
+    }];
+  }
+
+  // Disappearing messages that ran out are replayed like the live expiry event
+  if (message.metadata.expiredAt) {
+    const { expiredAt } = message.metadata;
+    return [{
+      event: 'message:expired',
+      at: expiredAt,
+      payload: { roomId, messageIds: [messageId], timestamp: expiredAt.toISOString() }
+    }];
+  }
+
+  // Deleted messages are replayed as a deletion only - the client shows its tombstone
+  if (message.metadata.isDeleted) {
+    const deletedAt = message.metadata.deletedAt || message.updatedAt;
+    return [{
+      event: 'message:deleted',
+      at: deletedAt,
+      payload: {
+        roomId,
+        messageId,
+        emotion: serializeMessageFor(message, chatRoom, userId).emotion,
+        deletedAt,
+        timestamp: deletedAt.toISOString()
+      }
+    }];
+  }
+
+  const events = [];
+  const visible = serializeMessageFor(message, chatRoom, userId);
+
+  if (message.createdAt > syncPoint) {
+    events.push({
+      event: 'message:new',
+      at: message.createdAt,
+      payload: buildMessageEvent(visible, { timestamp: message.createdAt.toISOString() })
+    });
+  } else if (message.metadata.isEdited && message.metadata.editedAt > syncPoint) {
+    events.push({
+      event: 'message:updated',
+      at: message.metadata.editedAt,
+      payload: buildMessageEvent(visible, { timestamp: message.metadata.editedAt.toISOString() })
+    });
+  }
+
+  // Like the live receipt events, only the sender learns who received and read the message
+  const senderId = (message.sender._id || message.sender).toString();
+  const receipts = senderId === userId.toString() ? message.receipts : [];
+
+  receipts.forEach(receipt => {
+    ['delivered', 'read'].forEach(type => {
+      const at = receipt[`${type}At`];
+      if (!at || at <= syncPoint) return;
+
+      events.push({
+        event: `message:${type}`,
+        at,
+        payload: {
+          messageId,
+          roomId,
+          userId: receipt.user.toString(),
+          deliveredAt: receipt.deliveredAt,
+          readAt: receipt.readAt,
+          deliveryStatus: message.metadata.deliveryStatus
+        }
+      });
+    });
+  });
+
+  return events;
+};
+
+/**
+ * Collect everything that happened in the given rooms since each client cursor:
+ * new messages, edits, deletions (for everyone or just for this user) and read-state changes,
+ * in chronological order.
+ * @param {string} userId - User requesting the sync
+ * @param {Object[]} rooms - [{ roomId, lastMessageId?, since?, updatedAfter?, updatedAfterId? }]
+ * @returns {Promise<Object[]>} - Per-room results: { roomId, success, events, hasMore, next, syncedUntil }
+ */
+const syncRooms = async (userId, rooms) => {
+  const roomIds = rooms.map(r => r.roomId);
+
+  // Only rooms the user participates in are synced
+  const accessibleRooms = await ChatRoom.find({
+    _id: { $in: roomIds },
+    'participants.user': userId
+  }).select('_id settings');
+  const accessible = new Map(accessibleRooms.map(r => [r._id.toString(), r]));
+
+  const results = [];
+
+  for (const cursor of rooms) {
+    const roomId = cursor.roomId.toString();
+
+    if (!accessible.has(roomId)) {
+      results.push({ roomId, success: false, message: 'Chat room not found or access denied' });
+      continue;
+    }
+
+    const syncPoint = await resolveSyncPoint(roomId, cursor);
+    if (!syncPoint) {
+      results.push({ roomId, success: false, message: 'Invalid sync cursor' });
+      continue;
+    }
+
+    // Every change to a message (edit, delete, receipt) bumps its updatedAt.
+    // `updatedAfter` (plus `updatedAfterId` to break ties) continues a paged sync,
+    // while events are still classified against the original sync point.
+    const updatedAfter = cursor.updatedAfter ? new Date(cursor.updatedAfter) : syncPoint;
+    const changedFilter = cursor.updatedAfterId
+      ? buildKeysetQuery('updatedAt', {
+        value: updatedAfter,
+        id: new mongoose.Types.ObjectId(cursor.updatedAfterId)
+      }, 'after').filter
+      : { updatedAt: { $gt: updatedAfter } };
+
+    const changed = await Message.find({
+      chatRoom: roomId,
+      ...changedFilter
+    })
+    .select('+hiddenFor')
+    .populate('sender', 'username avatar')
+    .populate('replyTo')
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(SYNC_PAGE_SIZE + 1);
+
+    const hasMore = changed.length > SYNC_PAGE_SIZE;
+    const page = hasMore ? changed.slice(0, SYNC_PAGE_SIZE) : changed;
+
+    const events = page
+      .flatMap(message => buildMissedEvents(message, syncPoint, accessible.get(roomId), userId))
+      .sort((a, b) => a.at - b.at);
+
+    const last = page[page.length - 1];
+    const syncedUntil = last ? last.updatedAt : updatedAfter;
+
+    results.push({
+      roomId,
+      success: true,
+      events,
+      hasMore,
+      // Send `next` back as the room cursor to fetch the remaining changes
+      next: hasMore ? { roomId, since: syncPoint, updatedAfter: syncedUntil, updatedAfterId: last._id } : null,
+      // Use as `since` for the next sync once `hasMore` is false
+      syncedUntil
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Validate sync cursors sent by a client
+ * @param {*} rooms - Value received from the client
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSyncCursors = (rooms) => {
+  if (!Array.isArray(rooms) || rooms.length === 0 || rooms.length > 50) {
+    return 'rooms must be an array of 1-50 room cursors';
+  }
+
+  const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+  const valid = rooms.every(r =>
+    r && mongoose.Types.ObjectId.isValid(r.roomId) &&
+    (r.lastMessageId ? mongoose.Types.ObjectId.isValid(r.lastMessageId) : Boolean(r.since)) &&
+    (!r.updatedAfter || isValidDate(r.updatedAfter)) &&
+    (!r.updatedAfterId || (r.updatedAfter && mongoose.Types.ObjectId.isValid(r.updatedAfterId)))
+  );
+
+  return valid ? null : 'Each room cursor needs a roomId and either lastMessageId or since';
+};
+
+module.exports = {
+  SYNC_PAGE_SIZE,
+  syncRooms,
+  validateSyncCursors
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Encode a keyset cursor from a sort value and a document ID
+ * @param {Date} value - Sort field value (e.g. createdAt, lastActivity)
+ * @param {Object} id - Document _id (tie-breaker)
+ * @returns {string} - URL-safe cursor (`<epoch ms>_<id>`)
+ */
+const encodeCursor = (value, id) => `${new Date(value).getTime()}_${id}`;
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} - { value: Date, id: ObjectId }, or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  const [value, id] = String(cursor).split('_');
+  const date = new Date(Number(value));
+
+  if (!/^\d+$/.test(value) || isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { value: date, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Build the filter and sort for one keyset page
+ * @param {string} field - Sort field
+ * @param {Object} cursor - Decoded cursor (optional - omitted for the newest page)
+ * @param {string} direction - 'before' (older than the cursor) or 'after' (newer than the cursor)
+ * @returns {Object} - { filter, sort }
+ */
+const buildKeysetQuery = (field, cursor, direction = 'before') => {
+  const op = direction === 'after' ? '$gt' : '$lt';
+  const order = direction === 'after' ? 1 : -1;
+
+  const filter = cursor
+    ? {
+        $or: [
+          { [field]: { [op]: cursor.value } },
+          { [field]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    : {};
+
+  return { filter, sort: { [field]: order, _id: order } };
+};
+
+/**
+ * Turn a fetched keyset page (queried with limit + 1) into newest-first results and cursors.
+ * `nextCursor` continues towards older documents (pass as `before`),
+ * `prevCursor` continues towards newer documents (pass as `after`).
+ * @param {Object[]} docs - Documents as returned by the query
+ * @param {Object} options - { field, limit, direction, hasCursor }
+ * @returns {Object} - { items, hasMore, nextCursor, prevCursor }
+ */
+const buildKeysetPage = (docs, { field, limit, direction = 'before', hasCursor = false }) => {
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  // Always hand back newest first, whichever way the query ran
+  const items = direction === 'after' ? [...page].reverse() : page;
+  const newest = items[0];
+  const oldest = items[items.length - 1];
+
+  const olderExist = direction === 'after' ? hasCursor : hasMore;
+  const newerExist = direction === 'after' ? hasMore : hasCursor;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: oldest && olderExist ? encodeCursor(oldest[field], oldest._id) : null,
+    prevCursor: newest && newerExist ? encodeCursor(newest[field], newest._id) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildKeysetQuery,
+  buildKeysetPage
+};
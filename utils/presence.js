@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const ChatRoom = require('../models/ChatRoom');
+const { emitToUser, userRoom } = require('../config/socket');
+
+// User fields to populate wherever presence is shown; pass the users through maskPresence afterwards
+const PRESENCE_FIELDS = 'username avatar isOnline lastSeen preferences.privacy.showOnlineStatus';
+
+// Number of open sockets per user ID - a user stays online until their last device disconnects
+const connectionCounts = new Map();
+
+/**
+ * Check whether a user has at least one open socket on this server
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isUserConnected = (userId) => (connectionCounts.get(userId.toString()) || 0) > 0;
+
+/**
+ * Get everyone who should be told about a user's presence: all co-participants
+ * of the user's active chat rooms (private rooms double as the contact list),
+ * except users on either side of a block with them
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Distinct user IDs, excluding the user
+ */
+const getPresenceAudience = async (userId) => {
+  const [chatRooms, blockRelations] = await Promise.all([
+    ChatRoom.find({
+      'participants.user': userId,
+      isActive: true
+    }).select('participants.user'),
+    User.getBlockRelations(userId)
+  ]);
+
+  const excluded = new Set([userId.toString(), ...blockRelations]);
+  const audience = new Set();
+  chatRooms.forEach(chatRoom => {
+    chatRoom.participants.forEach(p => {
+      const participantId = p.user.toString();
+      if (!excluded.has(participantId)) {
+        audience.add(participantId);
+      }
+    });
+  });
+
+  return [...audience];
+};
+
+/**
+ * Build a `presence:update` payload
+ * @param {Object} user - User document
+ * @param {boolean} visible - False to report the user as offline with no last seen time
+ * @returns {Object} - { userId, isOnline, lastSeen, timestamp }
+ */
+const buildPresencePayload = (user, visible = true) => ({
+  userId: user._id.toString(),
+  isOnline: visible ? user.isOnline : false,
+  lastSeen: visible ? user.lastSeen : null,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Hide presence a viewer may not see in populated users: that of users who hide their
+ * online status or who blocked the viewer. The privacy setting is removed afterwards.
+ * @param {Object[]} users - User documents populated with PRESENCE_FIELDS
+ * @param {string} viewerId - User the users are shown to
+ * @param {string[]} blockerIds - Users who blocked the viewer
+ */
+const maskPresence = (users, viewerId, blockerIds = []) => {
+  users.forEach(user => {
+    if (!user) return;
+
+    const userId = user._id.toString();
+    const showOnlineStatus = !user.preferences || !user.preferences.privacy ||
+      user.preferences.privacy.showOnlineStatus !== false;
+    const visible = userId === viewerId.toString() || (showOnlineStatus && !blockerIds.includes(userId));
+
+    if (!visible) {
+      user.isOnline = false;
+      user.lastSeen = null;
+    }
+    user.preferences = undefined;
+  });
+};
+
+/**
+ * Send a `presence:update` event about a user to their contacts and room co-participants.
+ * Nothing is sent while the user hides their online status, unless the privacy setting
+ * itself changed - then a masked update tells clients to stop showing the user as online.
+ * @param {Object} user - User document
+ * @param {Object} options - { privacyChanged: boolean }
+ */
+const broadcastPresence = async (user, { privacyChanged = false } = {}) => {
+  try {
+    const showOnlineStatus = user.preferences.privacy.showOnlineStatus;
+
+    if (!showOnlineStatus && !privacyChanged) {
+      return;
+    }
+
+    const payload = buildPresencePayload(user, showOnlineStatus);
+
+    const audience = await getPresenceAudience(user._id);
+    audience.forEach(participantId => emitToUser(participantId, 'presence:update', payload));
+  } catch (error) {
+    console.error('Presence broadcast error:', error.message);
+  }
+};
+
+/**
+ * Persist a presence change and broadcast it
+ * @param {string} userId - User ID
+ * @param {boolean} isOnline - New online state
+ */
+const setPresence = async (userId, isOnline) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { isOnline, lastSeen: new Date() },
+    { new: true }
+  );
+
+  if (user) {
+    await broadcastPresence(user);
+  }
+};
+
+/**
+ * Re-derive a user's online state from their open sockets, refresh lastSeen and broadcast it.
+ * Used by REST routes, so they never contradict the socket connections.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Updated user
+ */
+const refreshPresence = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { isOnline: isUserConnected(userId), lastSeen: new Date() },
+    { new: true }
+  );
+
+  if (user) {
+    await broadcastPresence(user);
+  }
+
+  return user;
+};
+
+/**
+ * Track a newly connected socket. The first device to connect marks the user online.
+ * @param {Object} socket - Authenticated socket
+ */
+const handleConnect = async (socket) => {
+  const userId = socket.userId.toString();
+  socket.join(userRoom(userId));
+
+  const count = (connectionCounts.get(userId) || 0) + 1;
+  connectionCounts.set(userId, count);
+
+  if (count === 1) {
+    try {
+      await setPresence(userId, true);
+    } catch (error) {
+      console.error('Presence connect error:', error.message);
+    }
+  }
+};
+
+/**
+ * Track a disconnected socket. The last device to disconnect marks the user offline.
+ * @param {Object} socket - Authenticated socket
+ */
+const handleDisconnect = async (socket) => {
+  const userId = socket.userId.toString();
+  const count = (connectionCounts.get(userId) || 1) - 1;
+
+  if (count > 0) {
+    connectionCounts.set(userId, count);
+    return;
+  }
+
+  connectionCounts.delete(userId);
+
+  try {
+    await setPresence(userId, false);
+  } catch (error) {
+    console.error('Presence disconnect error:', error.message);
+  }
+};
+
+/**
+ * Mark every user offline. Called on startup, since no sockets survive a restart.
+ */
+const resetPresence = async () => {
+  try {
+    const result = await User.updateMany({ isOnline: true }, { isOnline: false });
+    if (result.modifiedCount > 0) {
+      console.log(`👋 Reset presence for ${result.modifiedCount} users`);
+    }
+  } catch (error) {
+    console.error('Presence reset error:', error.message);
+  }
+};
+
+module.exports = {
+  PRESENCE_FIELDS,
+  isUserConnected,
+  getPresenceAudience,
+  buildPresencePayload,
+  maskPresence,
+  broadcastPresence,
+  refreshPresence,
+  handleConnect,
+  handleDisconnect,
+  resetPresence
+};
@@ -0,0 +1,181 @@
+const { canSeeEmotion } = require('./emotionPrivacy');
+
+const EXPORT_FORMATS = ['json', 'csv', 'html'];
+
+const CSV_COLUMNS = [
+  'timestamp', 'sender', 'messageType', 'content', 'emotion',
+  'confidence', 'sentimentScore', 'sentimentMagnitude', 'edited', 'deleted'
+];
+
+/**
+ * Summarize a room's emotional context for an export header.
+ * Rooms that don't share emotions export no summary.
+ * @param {Object} chatRoom - Chat room document
+ * @returns {Object|null} - { averageSentiment, dominantEmotion, analyzedMessages, emotionTotals }
+ */
+const buildEmotionSummary = (chatRoom) => {
+  if (chatRoom.settings.emotionSharing === false) {
+    return null;
+  }
+
+  const { averageSentiment, dominantEmotion, emotionTrends } = chatRoom.emotionalContext;
+  const emotionTotals = {};
+  let analyzedMessages = 0;
+
+  emotionTrends.forEach(trend => {
+    Object.entries(trend.toObject().emotions).forEach(([emotion, count]) => {
+      emotionTotals[emotion] = (emotionTotals[emotion] || 0) + count;
+    });
+    analyzedMessages += trend.messageCount || 0;
+  });
+
+  return {
+    averageSentiment: parseFloat(averageSentiment.toFixed(3)),
+    dominantEmotion,
+    analyzedMessages,
+    emotionTotals
+  };
+};
+
+/**
+ * Flatten a message into one export record, as seen by the exporting user
+ * @param {Object} message - Message with populated sender
+ * @param {Object} chatRoom - Chat room (for its emotion sharing setting)
+ * @param {string} viewerId - Exporting user
+ * @returns {Object} - Export record
+ */
+const toExportRecord = (message, chatRoom, viewerId) => {
+  const showEmotion = !message.metadata.isDeleted && message.messageType !== 'system' &&
+    canSeeEmotion(chatRoom, message, viewerId);
+
+  return {
+    id: message._id.toString(),
+    timestamp: message.createdAt.toISOString(),
+    sender: message.sender ? message.sender.username : 'Unknown user',
+    messageType: message.messageType,
+    content: message.metadata.isDeleted ? message.getTombstoneContent() : message.content,
+    emotion: showEmotion ? message.emotion.detected : null,
+    confidence: showEmotion ? message.emotion.confidence : null,
+    sentimentScore: showEmotion ? message.emotion.sentiment.score : null,
+    sentimentMagnitude: showEmotion ? message.emotion.sentiment.magnitude : null,
+    edited: message.metadata.isEdited,
+    deleted: message.metadata.isDeleted
+  };
+};
+
+// Quote a CSV cell, and defuse cells a spreadsheet would evaluate as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const jsonFormatter = {
+  contentType: 'application/json; charset=utf-8',
+  begin: (meta) => `${JSON.stringify(meta).slice(0, -1)},"messages":[\n`,
+  record: (record, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(record)}`,
+  end: () => '\n]}\n'
+};
+
+const csvFormatter = {
+  contentType: 'text/csv; charset=utf-8',
+  begin: ({ room, exportedAt, emotionalContext }) => {
+    const lines = [
+      `# Room: ${room.name || 'Private chat'}`,
+      `# Exported at: ${exportedAt}`
+    ];
+    if (emotionalContext) {
+      lines.push(
+        `# Dominant emotion: ${emotionalContext.dominantEmotion}`,
+        `# Average sentiment: ${emotionalContext.averageSentiment}`,
+        `# Analyzed messages: ${emotionalContext.analyzedMessages}`
+      );
+    }
+    lines.push(CSV_COLUMNS.join(','));
+    return `${lines.map(line => line.replace(/[\r\n]+/g, ' ')).join('\r\n')}\r\n`;
+  },
+  record: (record) => `${CSV_COLUMNS.map(column => csvCell(record[column])).join(',')}\r\n`,
+  end: () => ''
+};
+
+const htmlFormatter = {
+  contentType: 'text/html; charset=utf-8',
+  begin: ({ room, exportedAt, emotionalContext }) => {
+    const title = escapeHtml(room.name || 'Private chat');
+    const summary = emotionalContext
+      ? `<p class="summary">Dominant emotion: <strong>${escapeHtml(emotionalContext.dominantEmotion)}</strong> · ` +
+        `Average sentiment: <strong>${escapeHtml(emotionalContext.averageSentiment)}</strong> · ` +
+        `Analyzed messages: <strong>${escapeHtml(emotionalContext.analyzedMessages)}</strong></p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title} - Emochat transcript</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 48rem; color: #222; }
+header { border-bottom: 1px solid #ddd; margin-bottom: 1rem; }
+.summary, .meta { color: #555; font-size: 0.9rem; }
+.message { padding: 0.5rem 0; border-bottom: 1px solid #f0f0f0; }
+.message.system, .message.deleted { color: #777; font-style: italic; }
+.sender { font-weight: 600; }
+.content { white-space: pre-wrap; margin: 0.25rem 0; }
+.emotion { font-size: 0.8rem; color: #4A90E2; }
+</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<p class="meta">Exported at ${escapeHtml(exportedAt)}</p>
+${summary}
+</header>
+<main>
+`;
+  },
+  record: (record) => {
+    const classes = ['message', record.messageType === 'system' ? 'system' : '', record.deleted ? 'deleted' : '']
+      .filter(Boolean).join(' ');
+    const emotion = record.emotion
+      ? `<div class="emotion">${escapeHtml(record.emotion)} (confidence ${escapeHtml(record.confidence)}, sentiment ${escapeHtml(record.sentimentScore)})</div>`
+      : '';
+
+    return `<article class="${classes}">
+<div class="meta"><span class="sender">${escapeHtml(record.sender)}</span> · <time datetime="${record.timestamp}">${record.timestamp}</time>${record.edited ? ' · edited' : ''}</div>
+<p class="content">${escapeHtml(record.content)}</p>
+${emotion}</article>
+`;
+  },
+  end: () => '</main>\n</body>\n</html>\n'
+};
+
+const formatters = {
+  json: jsonFormatter,
+  csv: csvFormatter,
+  html: htmlFormatter
+};
+
+/**
+ * Get the formatter for an export format. Formatters produce the output in pieces:
+ * `begin(meta)`, then `record(record, index)` per message, then `end()`.
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object} - { contentType, begin, record, end }
+ */
+const getExportFormatter = (format) => formatters[format];
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildEmotionSummary,
+  toExportRecord,
+  getExportFormatter
+};
@@ -0,0 +1,67 @@
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query into the words MongoDB text search matches on
+ * @param {string} query - Raw search query
+ * @returns {string[]} - Lowercased terms (quotes and negations removed)
+ */
+const getSearchTerms = (query) =>
+  (query || '')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, '').toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Build a short snippet around the first matching term, with highlight offsets.
+ * Offsets are returned instead of markup so clients can render them safely.
+ * @param {string} content - Message content
+ * @param {string[]} terms - Search terms
+ * @param {number} radius - Characters of context on each side of the first match
+ * @returns {Object} - { snippet, highlights: [{ start, end }] } (offsets into snippet)
+ */
+const buildSnippet = (content, terms, radius = 60) => {
+  if (!content) {
+    return { snippet: '', highlights: [] };
+  }
+
+  // Terms are matched as word prefixes, then extended to the end of the word
+  const pattern = terms.length > 0
+    ? new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})`, 'gi')
+    : null;
+
+  const firstMatch = pattern ? pattern.exec(content) : null;
+  const center = firstMatch ? firstMatch.index : 0;
+
+  const start = Math.max(0, center - radius);
+  const end = Math.min(content.length, center + radius * 2);
+
+  let snippet = content.slice(start, end);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  snippet = `${prefix}${snippet}${suffix}`;
+
+  const highlights = [];
+  if (pattern) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(snippet)) !== null) {
+      // Highlight the whole word
+      let matchEnd = match.index + match[0].length;
+      while (matchEnd < snippet.length && /\w/.test(snippet[matchEnd])) {
+        matchEnd++;
+      }
+      highlights.push({ start: match.index, end: matchEnd });
+      pattern.lastIndex = matchEnd;
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+module.exports = {
+  escapeRegex,
+  getSearchTerms,
+  buildSnippet
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps files on the local filesystem
+ * @param {Object} options
+ * @param {string} options.root - Directory files are stored under
+ * @returns {Object} - Storage driver (see config/storage.js)
+ */
+const createLocalDriver = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are generated by the server, but never let one point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // `wx` refuses to overwrite an existing file
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createLocalDriver
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { emitToUser } = require('../config/socket');
+
+// Upper bound on read receipts updated by a single "mark room read" call
+const MAX_RECEIPTS_PER_READ = 500;
+
+/**
+ * Count unread messages per room from each participant's read marker.
+ * Messages are unread when they were sent by someone else after the user's `lastReadAt`.
+ * @param {string} userId - User ID
+ * @param {Object[]} chatRooms - Chat rooms the user participates in
+ * @returns {Promise<Object>} - { rooms: [{ roomId, unreadCount, lastReadAt }], total }
+ */
+const countUnread = async (userId, chatRooms) => {
+  if (chatRooms.length === 0) {
+    return { rooms: [], total: 0 };
+  }
+
+  const markers = chatRooms.map(chatRoom => {
+    const participant = chatRoom.getParticipant(userId);
+    return {
+      roomId: chatRoom._id,
+      lastReadAt: participant ? participant.lastReadAt : new Date(0)
+    };
+  });
+
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        $or: markers.map(m => ({ chatRoom: m.roomId, createdAt: { $gt: m.lastReadAt } })),
+        sender: { $ne: new mongoose.Types.ObjectId(userId.toString()) },
+        messageType: { $ne: 'system' },
+        'metadata.isDeleted': false,
+        hiddenFor: { $ne: new mongoose.Types.ObjectId(userId.toString()) }
+      }
+    },
+    { $group: { _id: '$chatRoom', count: { $sum: 1 } } }
+  ]);
+
+  const countByRoom = new Map(counts.map(c => [c._id.toString(), c.count]));
+  const rooms = markers.map(m => ({
+    roomId: m.roomId,
+    unreadCount: countByRoom.get(m.roomId.toString()) || 0,
+    lastReadAt: m.lastReadAt
+  }));
+
+  return {
+    rooms,
+    total: rooms.reduce((sum, r) => sum + r.unreadCount, 0)
+  };
+};
+
+/**
+ * Move a participant's read marker forward and record read receipts for the
+ * messages it covers. Senders get `message:read` events; the user's other devices
+ * get `room:read` so they can clear their badges.
+ * @param {Object} chatRoom - Chat room document
+ * @param {string} userId - Reader
+ * @param {Date} upTo - Read everything created up to this time
+ * @returns {Promise<Object>} - { lastReadAt, receipts }: the participant's lastReadAt after the
+ *   update and the read receipts that changed ({ messageId, roomId, userId, deliveredAt, readAt, deliveryStatus })
+ */
+const markRoomRead = async (chatRoom, userId, upTo) => {
+  const participant = chatRoom.getParticipant(userId);
+
+  // Read markers only ever move forward
+  if (participant.lastReadAt < upTo) {
+    participant.lastReadAt = upTo;
+    await chatRoom.save();
+  }
+
+  const readAt = new Date();
+  const pending = await Message.find({
+    chatRoom: chatRoom._id,
+    createdAt: { $lte: upTo },
+    'metadata.isDeleted': false,
+    receipts: { $elemMatch: { user: userId, readAt: null } }
+  })
+  .select('sender receipts metadata')
+  .sort({ createdAt: -1 })
+  .limit(MAX_RECEIPTS_PER_READ);
+
+  // Payloads come from applying the receipts in memory; the database is updated in bulk
+  const receipts = [];
+  const readMessages = [];
+  pending.forEach(message => {
+    const receipt = message.markReadBy(userId, readAt);
+    if (!receipt) return;
+
+    readMessages.push(message);
+    receipts.push({
+      messageId: message._id.toString(),
+      roomId: chatRoom._id.toString(),
+      userId: userId.toString(),
+      deliveredAt: receipt.deliveredAt,
+      readAt: receipt.readAt,
+      deliveryStatus: message.metadata.deliveryStatus
+    });
+  });
+
+  if (readMessages.length > 0) {
+    await Message.markReadByMany(readMessages.map(m => m._id), userId, readAt);
+    readMessages.forEach((message, i) => emitToUser(message.sender, 'message:read', receipts[i]));
+  }
+
+  // Messages sent before per-recipient receipts existed only track the private-room receiver
+  await Message.updateMany({
+    chatRoom: chatRoom._id,
+    receiver: userId,
+    createdAt: { $lte: upTo },
+    'metadata.isRead': false
+  }, {
+    'metadata.isRead': true,
+    'metadata.readAt': readAt,
+    'metadata.deliveryStatus': 'read'
+  });
+
+  emitToUser(userId, 'room:read', {
+    roomId: chatRoom._id.toString(),
+    lastReadAt: participant.lastReadAt,
+    timestamp: readAt.toISOString()
+  });
+
+  return { lastReadAt: participant.lastReadAt, receipts };
+};
+
+module.exports = {
+  countUnread,
+  markRoomRead
+};